@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Directories of a project that test runs write artifacts to: Playwright's output and HTML report,
+// Cypress's screenshots and videos, and WebdriverIO's screenshots of failed tests (see wdio.conf.js)
+const ARTIFACT_DIRECTORIES = [
+  'test-results',
+  'playwright-report',
+  'cypress/screenshots',
+  'cypress/videos',
+  'screenshots'
+];
+
+// Artifacts listed per execution; an HTML report's own data files are served but not listed
+const MAX_ARTIFACTS = 200;
+
+const ARTIFACT_TYPES = [
+  { type: 'screenshot', pattern: /\.(png|jpe?g)$/i },
+  { type: 'video', pattern: /\.(webm|mp4)$/i },
+  { type: 'trace', pattern: /(^|[\\/])trace[^\\/]*\.zip$/i }
+];
+
+function getArtifactType(relativePath) {
+  if (relativePath === 'playwright-report/index.html') {
+    return 'report';
+  }
+  if (relativePath.startsWith('playwright-report/')) {
+    return null;
+  }
+  const match = ARTIFACT_TYPES.find(candidate => candidate.pattern.test(relativePath));
+  return match ? match.type : null;
+}
+
+// Artifacts of an earlier run must not pass for those of the next one
+async function clearArtifacts(outputDir) {
+  for (const directory of ARTIFACT_DIRECTORIES) {
+    await fs.remove(path.join(outputDir, directory));
+  }
+}
+
+async function listFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+// Screenshots, videos, Playwright traces and the HTML report a run left in the project,
+// with paths relative to the project and the URL they are served from
+async function collectArtifacts(jobId, outputDir) {
+  const artifacts = [];
+  for (const directory of ARTIFACT_DIRECTORIES) {
+    for (const file of await listFiles(path.join(outputDir, directory))) {
+      const relativePath = path.relative(outputDir, file).split(path.sep).join('/');
+      const type = getArtifactType(relativePath);
+      if (!type) continue;
+      artifacts.push({
+        type,
+        path: relativePath,
+        // Playwright names the folder of a test's output after the test, Cypress the folder after the spec
+        name: relativePath.slice(directory.length + 1),
+        size: (await fs.stat(file)).size,
+        url: getArtifactUrl(jobId, relativePath)
+      });
+    }
+  }
+  // The report first, so it is not cut off by a run with many screenshots
+  artifacts.sort((a, b) => (b.type === 'report') - (a.type === 'report'));
+  return artifacts.slice(0, MAX_ARTIFACTS);
+}
+
+function getArtifactUrl(jobId, relativePath) {
+  return `/api/job/${jobId}/artifacts/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Whether a requested path is inside one of the artifact directories, so the route cannot serve
+// the project's own files such as its isolated home directory
+function isArtifactPath(relativePath) {
+  const normalized = path.posix.normalize(relativePath);
+  return !normalized.startsWith('..') && ARTIFACT_DIRECTORIES.some(directory =>
+    normalized.startsWith(`${directory}/`));
+}
+
+module.exports = {
+  ARTIFACT_DIRECTORIES,
+  clearArtifacts,
+  collectArtifacts,
+  isArtifactPath
+};
@@ -0,0 +1,53 @@
+const { EventEmitter } = require('events');
+
+// Events kept per execution for clients that connect late or reconnect
+const MAX_BUFFERED_EVENTS = 10000;
+
+// Output of one test execution as numbered events (phase, log, done), buffered so a
+// client can replay what it missed and then follow along
+class ExecutionLog extends EventEmitter {
+  constructor() {
+    super();
+    this.events = [];
+    this.nextId = 1;
+    this.dropped = 0;
+    this.finished = false;
+  }
+
+  push(type, data) {
+    const event = { id: this.nextId++, type, data };
+    this.events.push(event);
+    if (this.events.length > MAX_BUFFERED_EVENTS) {
+      // Keep phase markers and the final event; only log lines are dropped
+      const index = this.events.findIndex(entry => entry.type === 'log');
+      if (index !== -1) {
+        this.events.splice(index, 1);
+        this.dropped++;
+      }
+    }
+    if (type === 'done') {
+      this.finished = true;
+    }
+    this.emit('event', event);
+    return event;
+  }
+
+  phase(phase, command) {
+    return this.push('phase', { phase, command, at: new Date().toISOString() });
+  }
+
+  line(phase, stream, text) {
+    return this.push('log', { phase, stream, text });
+  }
+
+  done(data) {
+    return this.push('done', data);
+  }
+
+  // Events after lastId, the id of the last event the client received
+  since(lastId = 0) {
+    return this.events.filter(event => event.id > lastId);
+  }
+}
+
+module.exports = ExecutionLog;
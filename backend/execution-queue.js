@@ -0,0 +1,58 @@
+// Limits how many executions run at once; the rest wait in arrival order for a free slot
+class ExecutionQueue {
+  // A limit of 0 runs every execution straight away
+  constructor(limit) {
+    this.limit = limit;
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  get pending() {
+    return this.waiting.length;
+  }
+
+  isFull() {
+    return this.limit > 0 && this.running >= this.limit;
+  }
+
+  // Resolves once a slot is taken; rejects with the abort reason when the signal aborts while waiting
+  acquire(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (!this.isFull()) {
+      this.running++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {};
+      const onAbort = () => {
+        this.waiting = this.waiting.filter(other => other !== entry);
+        reject(signal.reason);
+      };
+      entry.start = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      this.waiting.push(entry);
+    });
+  }
+
+  // Hands the slot to the next waiting execution, if any
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.start();
+    } else {
+      this.running--;
+    }
+  }
+}
+
+module.exports = ExecutionQueue;
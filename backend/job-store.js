@@ -0,0 +1,120 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Statuses of work that cannot resume once the process that ran it is gone
+const INTERRUPTED_STATUSES = {
+  analyzing: 'failed',
+  converting: 'failed',
+  queued: 'execution_failed',
+  executing: 'execution_failed'
+};
+
+// Keeps jobs for the life of the process; the base for stores that persist them
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async load() {
+    return this.jobs.size;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async save(job) {
+    // Retention ages jobs by their last change, not by when they were uploaded
+    job.updatedAt = new Date().toISOString();
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+}
+
+// Writes each job to <directory>/<id>.json and reads them all back on load
+class FileJobStore extends MemoryJobStore {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async load() {
+    await fs.ensureDir(this.directory);
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      let job;
+      try {
+        job = await fs.readJson(path.join(this.directory, file));
+      } catch (error) {
+        // A half-written or hand-edited file should not stop the server from starting
+        console.error(`Skipping unreadable job file ${file}: ${error.message}`);
+        continue;
+      }
+
+      const interruptedStatus = INTERRUPTED_STATUSES[job.status];
+      if (interruptedStatus) {
+        job.status = interruptedStatus;
+        job.error = 'Interrupted by a server restart';
+        if (interruptedStatus === 'execution_failed') {
+          job.execution = { success: false, exitCode: -1, output: '', error: job.error };
+        }
+        await this.save(job);
+      } else {
+        this.jobs.set(job.id, job);
+      }
+    }
+    return this.jobs.size;
+  }
+
+  async save(job) {
+    await super.save(job);
+    // Write to a temporary file first so a crash mid-write never leaves a truncated job
+    const jobFile = this.getJobFile(job.id);
+    const tempFile = `${jobFile}.${uuidv4()}.tmp`;
+    await fs.writeJson(tempFile, job, { spaces: 2 });
+    await fs.move(tempFile, jobFile, { overwrite: true });
+    return job;
+  }
+
+  async delete(id) {
+    const existed = this.jobs.delete(id);
+    await fs.remove(this.getJobFile(id));
+    return existed;
+  }
+
+  getJobFile(id) {
+    // Ids come from request paths, so keep them to a single safe segment
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+function createJobStore(type, directory) {
+  switch (type) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(directory);
+    default:
+      throw new Error(`Unknown job store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryJobStore,
+  FileJobStore,
+  createJobStore
+};
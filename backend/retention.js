@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Jobs with a process working on them are left alone until it finishes
+const BUSY_STATUSES = new Set(['analyzing', 'converting', 'queued', 'executing']);
+
+// Size of a file or directory tree, without following symlinks (node_modules/.bin is full of them)
+async function getDiskUsage(target) {
+  let stats;
+  try {
+    stats = await fs.lstat(target);
+  } catch (error) {
+    return 0;
+  }
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  for (const entry of await fs.readdir(target)) {
+    total += await getDiskUsage(path.join(target, entry));
+  }
+  return total;
+}
+
+function isBusy(job) {
+  return BUSY_STATUSES.has(job.status);
+}
+
+// Removes jobs and batches together with their uploads and outputs, on request or by policy
+class RetentionManager {
+  constructor({ jobStore, batchStore, uploadDir, outputDir, maxAgeMs = 0, maxJobs = 0, maxDiskBytes = 0 }) {
+    this.jobStore = jobStore;
+    this.batchStore = batchStore;
+    this.uploadDir = uploadDir;
+    this.outputDir = outputDir;
+    // A limit of 0 turns that limit off
+    this.maxAgeMs = maxAgeMs;
+    this.maxJobs = maxJobs;
+    this.maxDiskBytes = maxDiskBytes;
+    this.sweeping = null;
+    this.timer = null;
+  }
+
+  getJobOutputDir(job) {
+    return path.join(this.outputDir, job.id);
+  }
+
+  getBatchOutputDir(batch) {
+    return path.join(this.outputDir, `batch-${batch.id}`);
+  }
+
+  async deleteJob(job) {
+    if (isBusy(job)) {
+      throw new Error(`Job ${job.id} is ${job.status} and cannot be deleted yet`);
+    }
+
+    await fs.remove(job.filePath);
+    const batch = job.batchId ? this.batchStore.get(job.batchId) : null;
+    if (batch) {
+      // The spec lives in the shared batch project, so remove only the files this trace produced
+      if (job.output) {
+        const batchDir = this.getBatchOutputDir(batch);
+        await fs.remove(job.output.path);
+        for (const file of job.output.files || []) {
+          await fs.remove(path.join(batchDir, file));
+        }
+      }
+      batch.jobIds = batch.jobIds.filter(jobId => jobId !== job.id);
+      if (batch.output) {
+        // The batch summary must neither link to the removed job nor count its actions
+        const removed = batch.output.results.find(result => result.jobId === job.id);
+        batch.output.results = batch.output.results.filter(result => result.jobId !== job.id);
+        if (removed && removed.status === 'completed') {
+          const totals = batch.output.stats;
+          ['totalActions', 'convertedActions', 'skippedActions'].forEach(key => {
+            totals[key] -= removed.stats[key];
+          });
+          totals.testCount -= removed.stats.testCount || 1;
+        }
+      }
+      await this.batchStore.save(batch);
+    } else {
+      await fs.remove(this.getJobOutputDir(job));
+    }
+    await this.jobStore.delete(job.id);
+  }
+
+  async deleteBatch(batch) {
+    const jobs = batch.jobIds.map(jobId => this.jobStore.get(jobId)).filter(Boolean);
+    if (isBusy(batch) || jobs.some(isBusy)) {
+      throw new Error(`Batch ${batch.id} is still in use and cannot be deleted yet`);
+    }
+
+    for (const job of jobs) {
+      await fs.remove(job.filePath);
+      await this.jobStore.delete(job.id);
+    }
+    await fs.remove(this.getBatchOutputDir(batch));
+    await this.batchStore.delete(batch.id);
+  }
+
+  // Standalone jobs and whole batches, oldest activity first; batch children go with their batch
+  getEntries() {
+    const jobs = this.jobStore.list()
+      .filter(job => !job.batchId || !this.batchStore.get(job.batchId))
+      .map(job => ({ type: 'job', item: job }));
+    const batches = this.batchStore.list().map(batch => ({ type: 'batch', item: batch }));
+    const lastActivity = entry => new Date(entry.item.updatedAt || entry.item.createdAt).getTime();
+    return jobs.concat(batches).sort((a, b) => lastActivity(a) - lastActivity(b));
+  }
+
+  async getEntryDiskUsage(entry) {
+    if (entry.type === 'job') {
+      return await getDiskUsage(entry.item.filePath) + await getDiskUsage(this.getJobOutputDir(entry.item));
+    }
+    let total = await getDiskUsage(this.getBatchOutputDir(entry.item));
+    for (const jobId of entry.item.jobIds) {
+      const job = this.jobStore.get(jobId);
+      if (job) total += await getDiskUsage(job.filePath);
+    }
+    return total;
+  }
+
+  async removeEntry(entry) {
+    if (entry.type === 'job') {
+      await this.deleteJob(entry.item);
+    } else {
+      await this.deleteBatch(entry.item);
+    }
+  }
+
+  // Apply every limit once; concurrent callers share the sweep already running
+  sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this.runSweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  async runSweep() {
+    const removed = { jobs: 0, batches: 0, orphans: 0 };
+    const remove = async entry => {
+      try {
+        await this.removeEntry(entry);
+        removed[entry.type === 'job' ? 'jobs' : 'batches']++;
+        return true;
+      } catch (error) {
+        console.error(`Retention could not remove ${entry.type} ${entry.item.id}: ${error.message}`);
+        return false;
+      }
+    };
+
+    let entries = this.getEntries().filter(entry => !isBusy(entry.item));
+
+    if (this.maxAgeMs > 0) {
+      const cutoff = Date.now() - this.maxAgeMs;
+      const expired = entries.filter(entry => new Date(entry.item.updatedAt || entry.item.createdAt).getTime() < cutoff);
+      for (const entry of expired) {
+        if (await remove(entry)) entries = entries.filter(other => other !== entry);
+      }
+    }
+
+    if (this.maxJobs > 0) {
+      const total = this.getEntries().length;
+      const excess = entries.slice(0, Math.max(0, total - this.maxJobs));
+      for (const entry of excess) {
+        if (await remove(entry)) entries = entries.filter(other => other !== entry);
+      }
+    }
+
+    removed.orphans = await this.removeOrphans();
+
+    if (this.maxDiskBytes > 0) {
+      const sizes = new Map();
+      for (const entry of this.getEntries()) {
+        sizes.set(entry.item.id, await this.getEntryDiskUsage(entry));
+      }
+      let totalSize = Array.from(sizes.values()).reduce((sum, size) => sum + size, 0);
+      for (const entry of entries) {
+        if (totalSize <= this.maxDiskBytes) break;
+        if (await remove(entry)) totalSize -= sizes.get(entry.item.id) || 0;
+      }
+    }
+
+    return removed;
+  }
+
+  // Uploads and output directories no stored job refers to, e.g. left by a failed upload
+  async removeOrphans() {
+    const knownUploads = new Set(this.jobStore.list().map(job => path.basename(job.filePath)));
+    const knownOutputs = new Set(this.jobStore.list().map(job => job.id)
+      .concat(this.batchStore.list().map(batch => `batch-${batch.id}`)));
+    // Files this young may belong to a request that has not stored its job yet
+    const cutoff = Date.now() - Math.max(this.maxAgeMs, 60 * 60 * 1000);
+
+    let count = 0;
+    const removeUnknown = async (directory, known) => {
+      if (!await fs.pathExists(directory)) return;
+      for (const name of await fs.readdir(directory)) {
+        if (known.has(name)) continue;
+        const target = path.join(directory, name);
+        const stats = await fs.lstat(target);
+        if (stats.mtimeMs < cutoff) {
+          await fs.remove(target);
+          count++;
+        }
+      }
+    };
+    await removeUnknown(this.uploadDir, knownUploads);
+    await removeUnknown(this.outputDir, knownOutputs);
+    return count;
+  }
+
+  start(intervalMs) {
+    const run = () => this.sweep()
+      .then(removed => {
+        if (removed.jobs + removed.batches + removed.orphans > 0) {
+          console.log(`🧹 Retention removed ${removed.jobs} jobs, ${removed.batches} batches and ${removed.orphans} orphaned files`);
+        }
+      })
+      .catch(error => console.error('Retention sweep failed:', error));
+
+    run();
+    this.timer = setInterval(run, intervalMs);
+    // The sweeper alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  RetentionManager,
+  getDiskUsage
+};
@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const crossSpawn = require('cross-spawn');
+const { getCypressBrowsers } = require('../converters/browser-matrix');
+const { getCypressReporterOptions } = require('./test-project');
+
+// How each supported package manager installs a project and runs a package binary
+const PACKAGE_MANAGERS = {
+  npm: { install: ['npm', 'install'], exec: ['npx'], hint: 'Install Node.js, which includes npm' },
+  pnpm: { install: ['pnpm', 'install'], exec: ['pnpm', 'exec'], hint: 'Install pnpm with "npm install -g pnpm" or "corepack enable"' },
+  yarn: { install: ['yarn', 'install'], exec: ['yarn'], hint: 'Install Yarn with "npm install -g yarn" or "corepack enable"' }
+};
+
+const TOOL_HINTS = {
+  python: 'Install Python 3, or set PYTHON to the interpreter to use',
+  mvn: 'Install Apache Maven and a JDK',
+  dotnet: 'Install the .NET 8 SDK',
+  pwsh: 'Install PowerShell 7 (pwsh)',
+  docker: 'Install Docker, or set EXECUTION_ISOLATION to none or environment'
+};
+
+const ISOLATION_MODES = ['none', 'environment', 'container'];
+
+// Images with the toolchain and browser dependencies of each kind of project, for container isolation
+const CONTAINER_IMAGES = {
+  javascript: 'mcr.microsoft.com/playwright:v1.40.0-jammy',
+  python: 'mcr.microsoft.com/playwright/python:v1.40.0-jammy',
+  java: 'mcr.microsoft.com/playwright/java:v1.40.0-jammy',
+  csharp: 'mcr.microsoft.com/playwright/dotnet:v1.40.0-jammy',
+  // Pinned like the Playwright images, so a run does not change when the image is republished
+  cypress: 'cypress/browsers:node-20.11.0-chrome-121.0.6167.184-1-ff-123.0-edge-121.0.2277.128-1',
+  webdriverio: 'cypress/browsers:node-20.11.0-chrome-121.0.6167.184-1-ff-123.0-edge-121.0.2277.128-1'
+};
+
+// Variables passed on in environment isolation: enough to find programs, reach the network and show a browser
+const ISOLATED_ENV = [
+  'PATH', 'Path', 'PATHEXT', 'SystemRoot', 'SystemDrive', 'ComSpec', 'WINDIR',
+  'LANG', 'LC_ALL', 'TZ', 'DISPLAY', 'WAYLAND_DISPLAY', 'XAUTHORITY',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy',
+  'JAVA_HOME', 'DOTNET_ROOT', 'PLAYWRIGHT_BROWSERS_PATH', 'CYPRESS_CACHE_FOLDER'
+];
+
+// Time a process tree gets to exit after SIGTERM before it is killed
+const KILL_GRACE_MS = 5000;
+
+// A program a test project needs is not installed, or not on the PATH of the server
+class ToolchainMissingError extends Error {
+  constructor(tool, candidates, hint) {
+    super(`${tool} was not found (looked for ${candidates.join(', ')}). ${hint}`);
+    this.code = 'TOOLCHAIN_MISSING';
+    this.tool = tool;
+    this.candidates = candidates;
+    this.hint = hint;
+  }
+
+  toJSON() {
+    return { code: this.code, tool: this.tool, candidates: this.candidates, hint: this.hint };
+  }
+}
+
+// An execution was stopped before it finished; reason is 'cancelled' or 'timeout'
+class ExecutionAbortedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.code = 'EXECUTION_ABORTED';
+    this.reason = reason;
+  }
+}
+
+// Tests start browsers, drivers and dev servers of their own, so the whole tree is stopped, not just the child
+function killProcessTree(child, platform = process.platform) {
+  if (platform === 'win32') {
+    crossSpawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' })
+      .on('error', () => child.kill());
+    return;
+  }
+  // The child leads a process group of its own (see detached in run), and a negative pid signals the group
+  const signalGroup = signal => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // The group has already exited
+    }
+  };
+  signalGroup('SIGTERM');
+  setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE_MS).unref();
+}
+
+// Finds the programs that install and run generated test projects on this platform, and runs
+// them without a shell so file names are passed as arguments rather than interpolated.
+// With environment isolation a project gets its own directory as home and none of the server's
+// environment, but still the server user's access to files and network; with container isolation
+// every command runs in a throwaway container
+class Runner {
+  constructor({ env = process.env, platform = process.platform } = {}) {
+    this.env = env;
+    this.platform = platform;
+    this.packageManager = env.PACKAGE_MANAGER || 'npm';
+    if (!PACKAGE_MANAGERS[this.packageManager]) {
+      throw new Error(`Unknown package manager: ${this.packageManager} (expected one of ${Object.keys(PACKAGE_MANAGERS).join(', ')})`);
+    }
+    this.isolation = env.EXECUTION_ISOLATION || 'none';
+    if (!ISOLATION_MODES.includes(this.isolation)) {
+      throw new Error(`Unknown execution isolation: ${this.isolation} (expected one of ${ISOLATION_MODES.join(', ')})`);
+    }
+    this.containerImage = env.EXECUTION_CONTAINER_IMAGE || null;
+    this.containerMemoryMb = Number(env.EXECUTION_MEMORY_MB || 2048);
+    this.containerCpus = Number(env.EXECUTION_CPUS || 2);
+    // Docker network of the test run itself, e.g. none or an internal network that only reaches the
+    // application under test; installs keep the default network to download packages and browsers
+    this.runNetwork = env.EXECUTION_RUN_NETWORK || null;
+    // Commands in a container run on Linux whatever the host is
+    this.targetPlatform = this.isolation === 'container' ? 'linux' : platform;
+    this.active = new Set();
+  }
+
+  // Full path of an executable on PATH; on Windows also tries the PATHEXT extensions (npm.cmd, mvn.cmd)
+  findExecutable(name) {
+    // npm also ships an extensionless shell script for Git Bash, which Windows itself cannot start
+    const extensions = this.platform === 'win32' && !path.extname(name)
+      ? (this.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)
+      : [''];
+    const directories = path.isAbsolute(name) || name.includes('/') || name.includes('\\')
+      ? ['']
+      : (this.env.PATH || this.env.Path || '').split(path.delimiter).filter(Boolean);
+
+    for (const directory of directories) {
+      for (const extension of extensions) {
+        const candidate = path.resolve(directory, name + extension);
+        if (this.isExecutable(candidate)) {
+          return candidate;
+        }
+      }
+    }
+    return null;
+  }
+
+  isExecutable(file) {
+    try {
+      if (!fs.statSync(file).isFile()) return false;
+      // Windows has no execute bit; the extension decides
+      if (this.platform !== 'win32') {
+        fs.accessSync(file, fs.constants.X_OK);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The first candidate found, as { command, args } with the candidate's own leading arguments
+  resolve(tool, candidates, hint) {
+    if (this.isolation === 'container') {
+      // The image provides the toolchain; only docker has to be on the server
+      const [name, ...args] = candidates[0];
+      return { command: name, args };
+    }
+    for (const [name, ...args] of candidates) {
+      const command = this.findExecutable(name);
+      if (command) {
+        return { command, args };
+      }
+    }
+    throw new ToolchainMissingError(tool, candidates.map(candidate => candidate[0]), hint);
+  }
+
+  resolvePython() {
+    return this.resolve('python', this.getPythonCandidates(this.targetPlatform), TOOL_HINTS.python);
+  }
+
+  getPythonCandidates(platform) {
+    if (this.env.PYTHON) {
+      return [[this.env.PYTHON]];
+    }
+    // python is Python 2 or missing on many Linux systems; Windows has the py launcher instead of python3
+    return platform === 'win32'
+      ? [['python'], ['py', '-3']]
+      : [['python3'], ['python']];
+  }
+
+  // Python interpreter on the server itself, whatever the isolation, or null
+  findPython() {
+    for (const [name, ...args] of this.getPythonCandidates(this.platform)) {
+      const command = this.findExecutable(name);
+      if (command) {
+        return { command, args };
+      }
+    }
+    return null;
+  }
+
+  resolvePackageManager(action) {
+    const manager = PACKAGE_MANAGERS[this.packageManager];
+    const [name, ...args] = manager[action];
+    return this.resolve(this.packageManager, [[name, ...args]], manager.hint);
+  }
+
+  resolveTool(tool) {
+    return this.resolve(tool, [[tool]], TOOL_HINTS[tool]);
+  }
+
+  getContainerImage(job) {
+    if (this.containerImage) {
+      return this.containerImage;
+    }
+    if (job.framework === 'playwright') {
+      const kind = job.language === 'csharp-mstest' ? 'csharp' : job.language;
+      return CONTAINER_IMAGES[kind] || CONTAINER_IMAGES.javascript;
+    }
+    return CONTAINER_IMAGES[job.framework];
+  }
+
+  // Every command of a job's execution, resolved up front so a missing toolchain is reported before anything runs
+  planExecution(job, headless) {
+    let container = null;
+    if (this.isolation === 'container') {
+      const docker = this.findExecutable('docker');
+      if (!docker) {
+        throw new ToolchainMissingError('docker', ['docker'], TOOL_HINTS.docker);
+      }
+      container = { docker, image: this.getContainerImage(job) };
+      // A container has no display to show a browser on
+      headless = true;
+    }
+    const command = (phase, resolved, args, env) => ({
+      phase,
+      command: resolved.command,
+      args: resolved.args.concat(args),
+      env,
+      container
+    });
+    // wdio.conf.js and the Java test read HEADLESS, Playwright for .NET reads HEADED
+    const runEnv = { HEADLESS: String(headless), HEADED: headless ? '0' : '1' };
+    const headedArgs = headless ? [] : ['--headed'];
+    const spec = job.output.filename;
+
+    if (job.framework === 'playwright' && job.language === 'java') {
+      // Compile the test class, install browsers through Playwright's CLI, then run JUnit
+      const mvn = this.resolveTool('mvn');
+      return [
+        command('install', mvn, ['-q', 'test-compile']),
+        command('browsers', mvn, ['-q', 'exec:java', '-Dexec.args=install']),
+        command('run', mvn, ['test'], runEnv)
+      ];
+    }
+    if (job.framework === 'playwright' && (job.language === 'csharp' || job.language === 'csharp-mstest')) {
+      // Build the test project, then install browsers with the generated playwright.ps1
+      const dotnet = this.resolveTool('dotnet');
+      return [
+        command('install', dotnet, ['build']),
+        command('browsers', this.resolveTool('pwsh'), ['bin/Debug/net8.0/playwright.ps1', 'install']),
+        command('run', dotnet, ['test', '--logger', 'junit;LogFileName=junit.xml', '--results-directory', 'results'], runEnv)
+      ];
+    }
+    if (job.framework === 'playwright' && job.language === 'python') {
+      const python = this.resolvePython();
+      return [
+        command('install', python, ['-m', 'pip', 'install', '-r', 'requirements.txt']),
+        command('browsers', python, ['-m', 'playwright', 'install']),
+        command('run', python, ['-m', 'pytest', spec, '-v', '--junitxml=results/junit.xml'].concat(headedArgs), runEnv)
+      ];
+    }
+
+    const install = this.resolvePackageManager('install');
+    const exec = this.resolvePackageManager('exec');
+    if (job.framework === 'playwright') {
+      return [
+        command('install', install, []),
+        command('browsers', exec, ['playwright', 'install']),
+        command('run', exec, ['playwright', 'test', spec].concat(headedArgs), runEnv)
+      ];
+    }
+    // Cypress and WebdriverIO bring their browser drivers with their npm packages
+    if (job.framework === 'cypress') {
+      const browsers = getCypressBrowsers(job.output.browsers);
+      if (browsers.length === 1 && browsers[0] === 'electron') {
+        return [
+          command('install', install, []),
+          command('run', exec, ['cypress', 'run', '--spec', spec].concat(headedArgs), runEnv)
+        ];
+      }
+      // One run per browser of the matrix, each with its own results file
+      return [command('install', install, [])].concat(browsers.map(browser => command('run', exec, [
+        'cypress', 'run', '--spec', spec, '--browser', browser,
+        '--reporter-options', getCypressReporterOptions(browser)
+      ].concat(headedArgs), runEnv)));
+    }
+    return [
+      command('install', install, []),
+      command('run', exec, ['wdio', 'run', './wdio.conf.js', '--spec', spec], runEnv)
+    ];
+  }
+
+  // Home and temporary directories inside the project, so caches and profiles stay with the job
+  createIsolatedDirectories(cwd) {
+    const home = path.join(cwd, '.home');
+    const tmp = path.join(cwd, '.tmp');
+    fs.mkdirSync(home, { recursive: true });
+    fs.mkdirSync(tmp, { recursive: true });
+    return { home, tmp };
+  }
+
+  getIsolatedEnv(cwd) {
+    const { home, tmp } = this.createIsolatedDirectories(cwd);
+    const env = {};
+    ISOLATED_ENV.filter(name => this.env[name] !== undefined).forEach(name => {
+      env[name] = this.env[name];
+    });
+    return {
+      ...env,
+      HOME: home,
+      USERPROFILE: home,
+      APPDATA: path.join(home, 'AppData', 'Roaming'),
+      LOCALAPPDATA: path.join(home, 'AppData', 'Local'),
+      TMPDIR: tmp,
+      TEMP: tmp,
+      TMP: tmp
+    };
+  }
+
+  // docker run arguments for a command: the project mounted as /work, limited memory and CPUs,
+  // the run network for the test run, and the host user so the files it writes can still be cleaned up by the server
+  getContainerArgs({ phase, command, args, env = {}, container }, cwd, name) {
+    this.createIsolatedDirectories(cwd);
+    const user = typeof process.getuid === 'function' && this.platform !== 'win32'
+      ? ['--user', `${process.getuid()}:${process.getgid()}`]
+      : [];
+    const variables = Object.entries({ ...env, HOME: '/work/.home', TMPDIR: '/work/.tmp', CI: '1' })
+      .flatMap(([key, value]) => ['--env', `${key}=${value}`]);
+    return [
+      'run', '--rm', '--init',
+      '--name', name,
+      '--volume', `${cwd}:/work`,
+      '--workdir', '/work',
+      '--memory', `${this.containerMemoryMb}m`,
+      '--cpus', String(this.containerCpus),
+      ...(phase === 'run' && this.runNetwork ? ['--network', this.runNetwork] : []),
+      // Chromium needs more shared memory than the 64 MB default
+      '--shm-size', '1g',
+      ...user,
+      ...variables,
+      container.image,
+      command,
+      ...args
+    ];
+  }
+
+  // Stops every running command, e.g. when the server shuts down
+  stopAll() {
+    this.active.forEach(stop => stop());
+  }
+
+  // Runs one planned command, reporting its output line by line; resolves with the exit code and output.
+  // Aborting the signal stops the command's whole process tree and rejects with the abort reason
+  run(step, { cwd, onLine = () => {}, signal } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    let { command, args } = step;
+    let env = { ...this.env, ...step.env };
+    let containerName = null;
+    if (step.container) {
+      containerName = `framework-migration-${crypto.randomUUID()}`;
+      command = step.container.docker;
+      args = this.getContainerArgs(step, cwd, containerName);
+    } else if (this.isolation === 'environment') {
+      env = { ...this.getIsolatedEnv(cwd), ...step.env };
+    }
+
+    return new Promise((resolve, reject) => {
+      // cross-spawn starts Windows .cmd shims through cmd.exe with escaped arguments instead of shell: true.
+      // On other platforms the child gets a process group of its own, so it can be stopped with everything it started
+      const child = crossSpawn(command, args, {
+        cwd,
+        stdio: 'pipe',
+        env,
+        detached: this.platform !== 'win32'
+      });
+
+      const stop = () => {
+        if (containerName) {
+          // Killing the docker client does not stop the container
+          crossSpawn(command, ['rm', '--force', containerName], { stdio: 'ignore' }).on('error', () => {});
+        }
+        if (child.pid) {
+          killProcessTree(child, this.platform);
+        }
+      };
+      this.active.add(stop);
+      if (signal) {
+        signal.addEventListener('abort', stop, { once: true });
+      }
+      const cleanUp = () => {
+        this.active.delete(stop);
+        if (signal) {
+          signal.removeEventListener('abort', stop);
+        }
+      };
+
+      const output = { stdout: '', stderr: '' };
+      ['stdout', 'stderr'].forEach(stream => {
+        readline.createInterface({ input: child[stream], crlfDelay: Infinity }).on('line', text => {
+          output[stream] += `${text}\n`;
+          onLine(stream, text);
+        });
+      });
+
+      child.on('error', (err) => {
+        cleanUp();
+        reject(new Error(`${path.basename(command)} could not be started: ${err.message}`));
+      });
+      child.on('close', (code) => {
+        cleanUp();
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+        } else {
+          resolve({ code, ...output });
+        }
+      });
+    });
+  }
+}
+
+module.exports = {
+  Runner,
+  ToolchainMissingError,
+  ExecutionAbortedError,
+  killProcessTree,
+  PACKAGE_MANAGERS,
+  ISOLATION_MODES
+};
@@ -4,22 +4,63 @@ const cors = require('cors');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { spawn } = require('child_process');
+const AdmZip = require('adm-zip');
+const TraceParser = require('../converters/trace-parser');
+const TestTemplate = require('../converters/test-template');
+const { normalizeBrowsers } = require('../converters/browser-matrix');
+const { mapEditedLines, remapSteps, remapSource } = require('../converters/step-map');
+const { createJobStore } = require('./job-store');
+const { RetentionManager } = require('./retention');
+const ExecutionLog = require('./execution-log');
+const ExecutionQueue = require('./execution-queue');
+const { Runner, ToolchainMissingError, ExecutionAbortedError } = require('./runner');
+const { readTestResults, clearTestResults } = require('./test-results');
+const { ARTIFACT_DIRECTORIES, clearArtifacts, collectArtifacts, isArtifactPath } = require('./artifacts');
+const { checkSyntax } = require('./syntax-check');
+const { FRAMEWORKS, getConverter, checkLanguage, createTestEnvironment, getSpecName, getMostCommon } = require('./test-project');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '../templates');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const JOB_STORE = process.env.JOB_STORE || 'file';
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+const OUTPUT_DIR = path.join(__dirname, '../outputs');
+
+// Retention limits; 0 turns a limit off
+const RETENTION_MAX_AGE_HOURS = Number(process.env.RETENTION_MAX_AGE_HOURS || 168);
+const RETENTION_MAX_JOBS = Number(process.env.RETENTION_MAX_JOBS || 200);
+const RETENTION_MAX_DISK_MB = Number(process.env.RETENTION_MAX_DISK_MB || 5120);
+// Largest trace or archive accepted per uploaded file
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB || 500);
+// How long an upload waits for its analysis before answering with 202 and continuing in the background
+const ANALYSIS_WAIT_MS = Number(process.env.ANALYSIS_WAIT_MS || 2000);
+
+const RETENTION_SWEEP_MINUTES = Number(process.env.RETENTION_SWEEP_MINUTES || 30);
+
+// How long the full output of a finished execution stays available to the events stream
+const EXECUTION_LOG_TTL_MS = 30 * 60 * 1000;
+// Interval of keep-alive comments on open events streams
+const EXECUTION_HEARTBEAT_MS = 15 * 1000;
+// Longest an execution may run, install included, and how many run at once; 0 turns a limit off
+const EXECUTION_TIMEOUT_MINUTES = Number(process.env.EXECUTION_TIMEOUT_MINUTES || 30);
+const MAX_CONCURRENT_EXECUTIONS = Number(process.env.MAX_CONCURRENT_EXECUTIONS || 2);
+// Largest edited test accepted, and how many earlier versions of a test a job keeps
+const MAX_OUTPUT_EDIT_SIZE = '20mb';
+const MAX_OUTPUT_EDITS = 20;
 
 // Middleware
 app.use(cors());
+// Edited tests are as large as generated ones, which long traces take far past the default 100kb
+app.use('/api/job/:jobId/output', express.json({ limit: MAX_OUTPUT_EDIT_SIZE }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    fs.ensureDirSync(uploadDir);
-    cb(null, uploadDir);
+    fs.ensureDirSync(UPLOAD_DIR);
+    cb(null, UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueName = `${uuidv4()}-${file.originalname}`;
@@ -29,136 +70,225 @@ const storage = multer.diskStorage({
 
 const upload = multer({ 
   storage,
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/json' || file.originalname.endsWith('.ndjson')) {
+    if (file.mimetype === 'application/json' || /\.(ndjson|json)(\.gz)?$/i.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only JSON and NDJSON files are allowed'), false);
+      cb(new Error('Only JSON and NDJSON files are allowed, optionally gzip-compressed'), false);
     }
   }
 });
 
-// Store conversion jobs
-const conversionJobs = new Map();
-
-// Helper function to create test environment
-async function createTestEnvironment(outputDir, framework, language) {
-  if (framework === 'playwright') {
-    const packageJson = {
-      "name": "migrated-playwright-test",
-      "version": "1.0.0",
-      "description": "Migrated Selenium test for Playwright",
-      "scripts": {
-        "test": "playwright test",
-        "test:headed": "playwright test --headed",
-        "test:debug": "playwright test --debug"
-      },
-      "devDependencies": {
-        "@playwright/test": "^1.40.0"
-      }
-    };
-    
-    if (language === 'python') {
-      packageJson.scripts = {
-        "test": "python -m pytest -v",
-        "install": "pip install playwright pytest"
-      };
-      packageJson.devDependencies = {};
-      
-      // Create requirements.txt for Python
-      const requirements = "playwright\npytest\npytest-playwright";
-      await fs.writeFile(path.join(outputDir, 'requirements.txt'), requirements);
+// Batch uploads take many traces at once, or zip archives of traces
+const batchUpload = multer({
+  storage,
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || /\.((ndjson|json)(\.gz)?|zip)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON, NDJSON and ZIP files are allowed'), false);
     }
-    
-    await fs.writeFile(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
-    
-    // Create playwright.config.js
-    const playwrightConfig = `module.exports = {
-  testDir: './',
-  timeout: 30000,
-  expect: {
-    timeout: 5000
-  },
-  fullyParallel: true,
-  forbidOnly: !!process.env.CI,
-  retries: process.env.CI ? 2 : 0,
-  workers: process.env.CI ? 1 : undefined,
-  reporter: 'html',
-  use: {
-    baseURL: 'https://www.selenium.dev/selenium/web/',
-    trace: 'on-first-retry',
-    screenshot: 'only-on-failure'
-  },
-  projects: [
-    {
-      name: 'chromium',
-      use: { ...require('@playwright/test').devices['Desktop Chrome'] }
-    }
-  ]
-};`;
-    
-    await fs.writeFile(path.join(outputDir, 'playwright.config.js'), playwrightConfig);
-    
-  } else if (framework === 'cypress') {
-    const packageJson = {
-      "name": "migrated-cypress-test",
-      "version": "1.0.0",
-      "description": "Migrated Selenium test for Cypress",
-      "scripts": {
-        "test": "cypress run",
-        "test:headed": "cypress open"
-      },
-      "devDependencies": {
-        "cypress": "^13.0.0"
-      }
-    };
-    
-    await fs.writeFile(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
-    
-    // Create cypress.config.js
-    const cypressConfig = `const { defineConfig } = require('cypress');
+  }
+});
+
+// Upper bound on what a single zip may expand to
+const MAX_ARCHIVE_UNCOMPRESSED_SIZE = 200 * 1024 * 1024;
 
-module.exports = defineConfig({
-  e2e: {
-    baseUrl: 'https://www.selenium.dev/selenium/web/',
-    supportFile: false,
-    specPattern: '*.cy.js',
-    video: false,
-    screenshot: false
+// Templates are small JSON files, so keep them in memory until validated
+const templateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON template files are allowed'), false);
+    }
   }
-});`;
-    
-    await fs.writeFile(path.join(outputDir, 'cypress.config.js'), cypressConfig);
+});
+
+// Store conversion jobs
+const jobStore = createJobStore(JOB_STORE, path.join(DATA_DIR, 'jobs'));
+
+// Store batch jobs; each trace in a batch is also a conversion job with a batchId
+const batchStore = createJobStore(JOB_STORE, path.join(DATA_DIR, 'batches'));
+
+const retention = new RetentionManager({
+  jobStore,
+  batchStore,
+  uploadDir: UPLOAD_DIR,
+  outputDir: OUTPUT_DIR,
+  maxAgeMs: RETENTION_MAX_AGE_HOURS * 60 * 60 * 1000,
+  maxJobs: RETENTION_MAX_JOBS,
+  maxDiskBytes: RETENTION_MAX_DISK_MB * 1024 * 1024
+});
+
+// Installs and runs generated projects with the toolchains found on this machine
+const runner = new Runner();
+
+// Live output of executions by job id, see GET /api/execute/:jobId/events
+const executionLogs = new Map();
+
+// Queued and running executions by job id, aborted to cancel them or when they time out
+const executionControllers = new Map();
+const executionQueue = new ExecutionQueue(MAX_CONCURRENT_EXECUTIONS);
+
+// Test processes run in process groups of their own, which a Ctrl+C of the server does not reach
+if (process.platform !== 'win32') {
+  ['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach(signal => {
+    process.once(signal, () => {
+      runner.stopAll();
+      process.kill(process.pid, signal);
+    });
+  });
+}
+
+// Persist state from places that cannot report a failure to the client
+function saveInBackground(store, job) {
+  store.save(job).catch(error => console.error(`Failed to save job ${job.id}:`, error));
+}
+
+// Resolve the template named in a convert request, or an inline template definition
+async function resolveTemplate(template) {
+  if (!template) return undefined;
+  if (typeof template === 'string') {
+    return TestTemplate.load(template, TEMPLATES_DIR);
   }
+  return new TestTemplate(template);
+}
+
+// Analyze a trace with the same parser the converters use
+async function analyzeTrace(filePath, fileName, fileSize, onProgress) {
+  const trace = await new TraceParser().parseFile(filePath, { onProgress });
+  return {
+    ...trace.summary,
+    fileSize,
+    fileName
+  };
+}
+
+// Write the traces in an uploaded zip next to the other uploads
+async function extractTraceArchive(archivePath, uploadDir) {
+  const entries = new AdmZip(archivePath).getEntries().filter(entry => {
+    const name = path.basename(entry.entryName);
+    return !entry.isDirectory &&
+      !entry.entryName.startsWith('__MACOSX/') &&
+      !name.startsWith('.') &&
+      /\.(ndjson|json)(\.gz)?$/i.test(name);
+  });
+  
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_ARCHIVE_UNCOMPRESSED_SIZE) {
+    throw new Error(`Archive expands to more than ${MAX_ARCHIVE_UNCOMPRESSED_SIZE / (1024 * 1024)}MB`);
+  }
+  
+  const files = [];
+  for (const entry of entries) {
+    // Only the base name is kept, so entries cannot write outside the upload directory
+    const originalname = path.basename(entry.entryName);
+    const filePath = path.join(uploadDir, `${uuidv4()}-${originalname}`);
+    const content = entry.getData();
+    await fs.writeFile(filePath, content);
+    files.push({ path: filePath, originalname, size: content.length });
+  }
+  return files;
+}
+
+// Syntax-check a freshly generated spec; a check that cannot run does not fail the conversion
+async function checkGeneratedSyntax(job, result) {
+  try {
+    const syntax = await checkSyntax(result.content, job.language, { filename: result.filename, runner });
+    if (syntax.errors.length > 0) {
+      console.error(`Generated ${result.filename} of job ${job.id} has syntax errors:`, syntax.errors);
+    }
+    return syntax;
+  } catch (error) {
+    console.error(`Syntax check of ${result.filename} failed:`, error);
+    return { checked: false, checker: null, errors: [], reason: error.message };
+  }
+}
+
+// Convert a job's trace and write the test and its supporting files to outputDir
+async function writeConversion(converter, job, outputDir, options) {
+  const result = await converter.convert(job.filePath, job.language, {
+    ...options,
+    traceName: job.analysis.fileName
+  });
+  
+  const outputFile = path.join(outputDir, result.filename);
+  await fs.outputFile(outputFile, result.content);
+  
+  // Supporting files such as page objects live next to the test
+  const files = result.files || [];
+  for (const file of files) {
+    await fs.outputFile(path.join(outputDir, file.filename), file.content);
+  }
+  
+  job.status = 'completed';
+  job.output = {
+    filename: result.filename,
+    content: result.content,
+    path: outputFile,
+    files: files.map(file => file.filename),
+    stats: result.stats,
+    stepMap: result.stepMap,
+    sourceMap: result.sourceMap,
+    // Browsers and devices the project runs the tests in; WebdriverIO has no matrix
+    browsers: result.browsers || null,
+    syntax: await checkGeneratedSyntax(job, result)
+  };
+  await jobStore.save(job);
+  return result;
 }
 
 // API Routes
 
 // Get supported frameworks and languages
 app.get('/api/frameworks', (req, res) => {
-  const frameworks = {
-    playwright: {
-      name: 'Playwright',
-      description: 'Modern end-to-end testing framework',
-      languages: [
-        { code: 'javascript', name: 'JavaScript', extension: '.spec.js' },
-        { code: 'typescript', name: 'TypeScript', extension: '.spec.ts' },
-        { code: 'python', name: 'Python', extension: '_test.py' }
-      ],
-      features: ['Cross-browser', 'Auto-wait', 'Network interception', 'Mobile testing']
-    },
-    cypress: {
-      name: 'Cypress',
-      description: 'Fast, easy and reliable testing for anything that runs in a browser',
-      languages: [
-        { code: 'javascript', name: 'JavaScript', extension: '.cy.js' },
-        { code: 'typescript', name: 'TypeScript', extension: '.cy.ts' }
-      ],
-      features: ['Real-time reloads', 'Time travel', 'Network stubbing', 'Visual testing']
+  res.json(FRAMEWORKS);
+});
+
+// List templates available for conversion
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json(await TestTemplate.list(TEMPLATES_DIR));
+  } catch (error) {
+    console.error('Template listing error:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+// Upload a template file into the template directory
+app.post('/api/templates', templateUpload.single('template'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No template uploaded' });
     }
-  };
-  
-  res.json(frameworks);
+    
+    const name = (req.body.name || path.basename(req.file.originalname, '.json'))
+      .replace(/[^\w-]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    if (!name) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+    
+    let template;
+    try {
+      template = new TestTemplate(JSON.parse(req.file.buffer.toString('utf8')));
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid template: ${error.message}` });
+    }
+    
+    await fs.ensureDir(TEMPLATES_DIR);
+    await fs.writeJson(path.join(TEMPLATES_DIR, `${name}.json`), template.definition, { spaces: 2 });
+    
+    res.json({ name, description: template.definition.description || '' });
+  } catch (error) {
+    console.error('Template upload error:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
 });
 
 // Upload trace file
@@ -169,65 +299,43 @@ app.post('/api/upload', upload.single('trace'), async (req, res) => {
     }
 
     const jobId = uuidv4();
-    const filePath = req.file.path;
-    
-    // Analyze the uploaded file
-    const fileContent = await fs.readFile(filePath, 'utf8');
-    const lines = fileContent.split('\n').filter(line => line.trim());
-    
-    let totalSteps = 0;
-    let supportedSteps = 0;
-    const actionTypes = {};
-    
-    // Actions that are automatically handled by modern frameworks
-    const autoHandledActions = ['findElement', 'findElements', 'ImplicitWait.set', 'Navigation.to'];
-    const supportedActions = ['get', 'click', 'sendKeys', 'clear', 'getTagName', 'Navigation.refresh', 'Navigation.back', 'Navigation.forward'];
-    
-    lines.forEach(line => {
-      try {
-        const event = JSON.parse(line);
-        if (event.evt === 'step.ok') {
-          // Count action types
-          if (actionTypes[event.kind]) {
-            actionTypes[event.kind]++;
-          } else {
-            actionTypes[event.kind] = 1;
-          }
-          
-          // Only count actions that require explicit conversion
-          if (!autoHandledActions.includes(event.kind)) {
-            totalSteps++;
-          }
-          
-          // Check if action is supported
-          if (supportedActions.includes(event.kind)) {
-            supportedSteps++;
-          }
-        }
-      } catch (e) {
-        // Skip invalid JSON lines
-      }
-    });
-    
-    const analysis = {
-      totalSteps,
-      supportedSteps,
-      unsupportedSteps: totalSteps - supportedSteps,
-      conversionRate: totalSteps > 0 ? Math.round((supportedSteps / totalSteps) * 100) : 0,
-      actionTypes,
-      fileSize: req.file.size,
-      fileName: req.file.originalname
-    };
-    
-    // Store job info
-    conversionJobs.set(jobId, {
+    const job = {
       id: jobId,
-      filePath,
-      analysis,
-      status: 'analyzed',
+      filePath: req.file.path,
+      analysis: null,
+      status: 'analyzing',
       createdAt: new Date()
+    };
+    await jobStore.save(job);
+    
+    // Progress lives on the in-memory job only; it is not worth a write per update
+    const analysisDone = analyzeTrace(req.file.path, req.file.originalname, req.file.size, progress => {
+      job.progress = progress;
+    }).then(async analysis => {
+      job.analysis = analysis;
+      job.status = 'analyzed';
+      await jobStore.save(job);
+      return analysis;
+    }, error => {
+      job.status = 'failed';
+      job.error = `Failed to analyze trace: ${error.message}`;
+      saveInBackground(jobStore, job);
+      throw error;
     });
     
+    // Small traces are answered straight away; long parses carry on and report progress on the job
+    const analysis = await Promise.race([
+      analysisDone,
+      new Promise(resolve => setTimeout(resolve, ANALYSIS_WAIT_MS, null))
+    ]);
+    if (!analysis) {
+      return res.status(202).json({
+        jobId,
+        status: job.status,
+        progress: job.progress || null
+      });
+    }
+    
     res.json({
       jobId,
       analysis
@@ -239,58 +347,197 @@ app.post('/api/upload', upload.single('trace'), async (req, res) => {
   }
 });
 
+// Check a trace against the event schema without creating a job
+app.post('/api/validate', upload.single('trace'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const report = await new TraceParser().validateFile(req.file.path);
+    res.json({
+      fileName: req.file.originalname,
+      ...report
+    });
+  } catch (error) {
+    console.error('Validation error:', error);
+    res.status(500).json({ error: `Failed to validate trace: ${error.message}` });
+  } finally {
+    await fs.remove(req.file.path);
+  }
+});
+
 // Get job status
 app.get('/api/job/:jobId', (req, res) => {
-  const job = conversionJobs.get(req.params.jobId);
+  const job = jobStore.get(req.params.jobId);
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
   res.json(job);
 });
 
+// Delete a job with its uploaded trace and generated files
+app.delete('/api/job/:jobId', async (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  try {
+    await retention.deleteJob(job);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Job deletion error:', error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Artifacts of a job's last execution, as indexed when it ended
+app.get('/api/job/:jobId/artifacts', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json((job.execution && job.execution.artifacts) || []);
+});
+
+// Serve an artifact, or a file of the HTML report, which loads its data through relative URLs
+app.get('/api/job/:jobId/artifacts/*', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  const relativePath = req.params[0];
+  if (!job || !job.output || !isArtifactPath(relativePath)) {
+    return res.status(404).json({ error: 'Artifact not found' });
+  }
+  
+  // root keeps the path inside the project
+  res.sendFile(relativePath, { root: path.dirname(job.output.path), dotfiles: 'deny' }, error => {
+    if (error && !res.headersSent) {
+      res.status(error.statusCode || 404).json({ error: 'Artifact not found' });
+    }
+  });
+});
+
+// Download the whole generated project of a job as a zip: the spec with its page objects,
+// package.json or build file, framework config and a README on running it
+app.get('/api/job/:jobId/archive', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job || !job.output) {
+    return res.status(404).json({ error: 'Job or output not found' });
+  }
+  
+  try {
+    const archive = createProjectArchive(path.dirname(job.output.path));
+    res.attachment(`migrated-test-${job.framework}-${job.language}.zip`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Archive error:', error);
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+// Replace the generated test with an edited version after checking its syntax; the next
+// execution and download use it
+app.put('/api/job/:jobId/output', async (req, res) => {
+  try {
+    const job = jobStore.get(req.params.jobId);
+    if (!job || !job.output) {
+      return res.status(404).json({ error: 'Job or output not found' });
+    }
+    if (job.status === 'converting' || executionControllers.has(job.id)) {
+      return res.status(409).json({ error: `Job is ${job.status} and cannot be edited now` });
+    }
+    const { content } = req.body;
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'content must be a string' });
+    }
+    
+    const syntax = await checkSyntax(content, job.language, { filename: job.output.filename, runner });
+    if (syntax.errors.length > 0) {
+      return res.status(400).json({ error: 'The edited test has syntax errors', syntax });
+    }
+    
+    const previousContent = job.output.content;
+    if (content !== previousContent) {
+      await fs.outputFile(job.output.path, content);
+      // Keep results and the source view pointing at the lines the trace steps moved to
+      const mapLine = mapEditedLines(previousContent, content);
+      job.output.stepMap = remapSteps(job.output.stepMap || [], mapLine);
+      job.output.sourceMap = remapSource(job.output.sourceMap || [], mapLine);
+      job.output.edits = (job.output.edits || [])
+        .concat({ editedAt: new Date().toISOString(), previousContent })
+        .slice(-MAX_OUTPUT_EDITS);
+      job.output.content = content;
+      await jobStore.save(job);
+    }
+    
+    res.json({ success: true, syntax, output: job.output });
+  } catch (error) {
+    console.error('Output edit error:', error);
+    res.status(500).json({ error: 'Failed to save the edited test: ' + error.message });
+  }
+});
+
 // Convert trace to target framework
 app.post('/api/convert/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
-    const { framework, language } = req.body;
+    const { framework, language, pageObjects = false, template: templateOption, browsers: browsersOption } = req.body;
     
-    const job = conversionJobs.get(jobId);
+    const job = jobStore.get(jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
+    if (!job.analysis) {
+      return res.status(409).json({ error: `Job is ${job.status} and cannot be converted yet` });
+    }
+    if (executionControllers.has(jobId)) {
+      return res.status(409).json({ error: `Job is ${job.status} and cannot be converted now` });
+    }
+    
+    // Load the appropriate converter
+    let converter;
+    try {
+      converter = getConverter(framework);
+      checkLanguage(framework, language);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (pageObjects && !(converter.supportsPageObjects && converter.supportsPageObjects(language))) {
+      return res.status(400).json({ error: `Page objects are not supported for ${framework} (${language})` });
+    }
+    
+    let template;
+    let browsers;
+    try {
+      template = await resolveTemplate(templateOption);
+      // Without a matrix, each trace runs in the browsers its Selenium driver used
+      browsers = browsersOption === undefined ? undefined : normalizeBrowsers(browsersOption);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     
     // Update job status
     job.status = 'converting';
     job.framework = framework;
     job.language = language;
-    conversionJobs.set(jobId, job);
-    
-    // Load the appropriate converter
-    const converterPath = path.join(__dirname, '../converters', `${framework}-converter.js`);
-    const Converter = require(converterPath);
-    
-    const converter = new Converter();
-    const result = await converter.convert(job.filePath, language);
+    job.pageObjects = Boolean(pageObjects);
+    job.template = typeof templateOption === 'string' ? templateOption : (template ? 'inline' : null);
+    await jobStore.save(job);
     
     // Save converted test
-    const outputDir = path.join(__dirname, '../outputs', jobId);
-    await fs.ensureDir(outputDir);
+    // Start from an empty project so the spec, config and package files of a previous conversion
+    // of this job, possibly to another framework, do not end up in its downloads and runs
+    const outputDir = path.join(OUTPUT_DIR, jobId);
+    await fs.emptyDir(outputDir);
     
-    const outputFile = path.join(outputDir, result.filename);
-    await fs.writeFile(outputFile, result.content);
+    const result = await writeConversion(converter, job, outputDir, {
+      pageObjects: Boolean(pageObjects),
+      template,
+      browsers
+    });
     
     // Create package.json and configuration files for the test to run
-    await createTestEnvironment(outputDir, framework, language);
-    
-    // Update job with results
-    job.status = 'completed';
-    job.output = {
-      filename: result.filename,
-      content: result.content,
-      path: outputFile,
-      stats: result.stats
-    };
-    conversionJobs.set(jobId, job);
+    await createTestEnvironment(outputDir, framework, language, result.baseUrl, result.browsers || undefined);
     
     res.json({
       success: true,
@@ -305,180 +552,468 @@ app.post('/api/convert/:jobId', async (req, res) => {
     console.error('Conversion error:', error);
     
     // Update job status to failed
-    const job = conversionJobs.get(req.params.jobId);
+    const job = jobStore.get(req.params.jobId);
     if (job) {
       job.status = 'failed';
       job.error = error.message;
-      conversionJobs.set(req.params.jobId, job);
+      saveInBackground(jobStore, job);
     }
     
     res.status(500).json({ error: 'Conversion failed: ' + error.message });
   }
 });
 
-// Execute generated test
-app.post('/api/execute/:jobId', async (req, res) => {
+// Upload many trace files, or zip archives of them, as one batch
+app.post('/api/batch/upload', batchUpload.array('traces'), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { headless = true } = req.body;
-    const job = conversionJobs.get(jobId);
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
     
-    if (!job || !job.output) {
-      return res.status(404).json({ error: 'Job or output not found' });
+    const traceFiles = [];
+    const failed = [];
+    for (const file of req.files) {
+      if (!/\.zip$/i.test(file.originalname)) {
+        traceFiles.push({ path: file.path, originalname: file.originalname, size: file.size });
+        continue;
+      }
+      try {
+        traceFiles.push(...await extractTraceArchive(file.path, UPLOAD_DIR));
+      } catch (error) {
+        failed.push({ fileName: file.originalname, error: `Could not read archive: ${error.message}` });
+      }
+      await fs.remove(file.path);
     }
     
-    job.status = 'executing';
-    conversionJobs.set(jobId, job);
+    if (traceFiles.length === 0) {
+      return res.status(400).json({ error: 'No trace files found in the upload', failed });
+    }
+    
+    const batchId = uuidv4();
+    const jobIds = [];
+    for (const file of traceFiles) {
+      // One unreadable trace should not fail the whole batch
+      try {
+        const jobId = uuidv4();
+        const analysis = await analyzeTrace(file.path, file.originalname, file.size);
+        await jobStore.save({
+          id: jobId,
+          batchId,
+          filePath: file.path,
+          analysis,
+          status: 'analyzed',
+          createdAt: new Date()
+        });
+        jobIds.push(jobId);
+      } catch (error) {
+        failed.push({ fileName: file.originalname, error: error.message });
+      }
+    }
     
-    const outputDir = path.dirname(job.output.path);
+    const analyses = jobIds.map(jobId => ({ jobId, ...jobStore.get(jobId).analysis }));
+    const totalSteps = analyses.reduce((sum, analysis) => sum + analysis.totalSteps, 0);
+    const supportedSteps = analyses.reduce((sum, analysis) => sum + analysis.supportedSteps, 0);
+    const analysis = {
+      fileCount: analyses.length,
+      totalSteps,
+      supportedSteps,
+      unsupportedSteps: totalSteps - supportedSteps,
+      conversionRate: totalSteps > 0 ? Math.round((supportedSteps / totalSteps) * 100) : 0,
+      files: analyses.map(({ jobId, fileName, fileSize, totalSteps, supportedSteps, conversionRate, tests, validation }) => ({
+        jobId,
+        fileName,
+        fileSize,
+        totalSteps,
+        supportedSteps,
+        conversionRate,
+        testCount: tests.length,
+        malformedLines: validation.invalidLines + validation.unknownEvents,
+        failedTests: tests.filter(test => test.failure).length
+      })),
+      failed
+    };
     
-    // First install dependencies
-    let installSuccess = false;
+    await batchStore.save({
+      id: batchId,
+      jobIds,
+      analysis,
+      status: 'analyzed',
+      createdAt: new Date()
+    });
+    
+    res.json({
+      batchId,
+      analysis
+    });
+    
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    res.status(500).json({ error: 'Failed to process uploaded files' });
+  }
+});
+
+// Get all batches (for the job history)
+app.get('/api/batches', (req, res) => {
+  res.json(batchStore.list());
+});
+
+// Get batch status
+app.get('/api/batch/:batchId', (req, res) => {
+  const batch = batchStore.get(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(batch);
+});
+
+// Delete a batch with all of its traces and the generated project
+app.delete('/api/batch/:batchId', async (req, res) => {
+  const batch = batchStore.get(req.params.batchId);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  try {
+    await retention.deleteBatch(batch);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Batch deletion error:', error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Convert every trace in a batch into one project with a shared config
+app.post('/api/batch/:batchId/convert', async (req, res) => {
+  const batch = batchStore.get(req.params.batchId);
+  try {
+    const { framework, language, pageObjects = false, template: templateOption, browsers: browsersOption } = req.body;
+    
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    let converter;
     try {
-      if (job.framework === 'playwright') {
-        if (job.language === 'python') {
-          // Install Python dependencies
-          await new Promise((resolve, reject) => {
-            const install = spawn('python', ['-m', 'pip', 'install', '-r', 'requirements.txt'], { 
-              cwd: outputDir,
-              stdio: 'pipe',
-              shell: true
-            });
-            install.on('error', (err) => {
-              reject(new Error(`pip install spawn error: ${err.message}`));
-            });
-            install.on('close', (code) => {
-              if (code === 0) resolve();
-              else reject(new Error(`pip install failed with code ${code}`));
-            });
-          });
-        } else {
-          // Install Node.js dependencies
-          await new Promise((resolve, reject) => {
-            const install = spawn('npm.cmd', ['install'], { 
-              cwd: outputDir,
-              stdio: 'pipe',
-              shell: true
-            });
-            install.on('error', (err) => {
-              reject(new Error(`npm install spawn error: ${err.message}`));
-            });
-            install.on('close', (code) => {
-              if (code === 0) resolve();
-              else reject(new Error(`npm install failed with code ${code}`));
-            });
-          });
-          
-          // Install Playwright browsers
-          await new Promise((resolve, reject) => {
-            const installBrowsers = spawn('npx.cmd', ['playwright', 'install'], { 
-              cwd: outputDir,
-              stdio: 'pipe',
-              shell: true
-            });
-            installBrowsers.on('error', (err) => {
-              reject(new Error(`playwright install spawn error: ${err.message}`));
-            });
-            installBrowsers.on('close', (code) => {
-              if (code === 0) resolve();
-              else reject(new Error(`playwright install failed with code ${code}`));
-            });
-          });
-        }
-      } else if (job.framework === 'cypress') {
-        // Install Node.js dependencies for Cypress
-         await new Promise((resolve, reject) => {
-           const install = spawn('npm.cmd', ['install'], { 
-             cwd: outputDir,
-             stdio: 'pipe',
-             shell: true
-           });
-           install.on('error', (err) => {
-             reject(new Error(`npm install spawn error: ${err.message}`));
-           });
-          install.on('close', (code) => {
-            if (code === 0) resolve();
-            else reject(new Error(`npm install failed with code ${code}`));
-          });
+      converter = getConverter(framework);
+      checkLanguage(framework, language);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (pageObjects && !(converter.supportsPageObjects && converter.supportsPageObjects(language))) {
+      return res.status(400).json({ error: `Page objects are not supported for ${framework} (${language})` });
+    }
+    
+    let template;
+    let browsers;
+    try {
+      template = await resolveTemplate(templateOption);
+      browsers = browsersOption === undefined ? undefined : normalizeBrowsers(browsersOption);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    batch.status = 'converting';
+    batch.framework = framework;
+    batch.language = language;
+    batch.pageObjects = Boolean(pageObjects);
+    batch.template = typeof templateOption === 'string' ? templateOption : (template ? 'inline' : null);
+    await batchStore.save(batch);
+    
+    // Start from an empty project so specs from a previous conversion do not linger
+    const outputDir = retention.getBatchOutputDir(batch);
+    await fs.emptyDir(outputDir);
+    
+    const usedFilenames = new Set();
+    const results = [];
+    const baseUrls = [];
+    const browserLists = [];
+    for (const jobId of batch.jobIds) {
+      const job = jobStore.get(jobId);
+      job.status = 'converting';
+      job.framework = framework;
+      job.language = language;
+      job.pageObjects = Boolean(pageObjects);
+      job.template = batch.template;
+      
+      const specName = getSpecName(converter, language, job.analysis.fileName, usedFilenames);
+      try {
+        const result = await writeConversion(converter, job, outputDir, {
+          pageObjects: Boolean(pageObjects),
+          template,
+          browsers,
+          specName,
+          // Page classes are derived per trace, so each spec gets its own directory
+          pagesDir: `pages/${specName}`
+        });
+        baseUrls.push(result.baseUrl);
+        browserLists.push(result.browsers || []);
+        results.push({
+          jobId,
+          fileName: job.analysis.fileName,
+          status: 'completed',
+          filename: result.filename,
+          files: job.output.files,
+          stats: result.stats
         });
+      } catch (error) {
+        console.error(`Batch conversion error for ${job.analysis.fileName}:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        await jobStore.save(job);
+        results.push({ jobId, fileName: job.analysis.fileName, status: 'failed', error: error.message });
       }
-      installSuccess = true;
-    } catch (installError) {
-      job.status = 'failed';
-      job.error = `Dependency installation failed: ${installError.message}`;
-      conversionJobs.set(jobId, job);
-      return res.status(500).json({ error: job.error });
     }
     
-    // Execute the test based on framework
-    let command, args;
+    const completed = results.filter(result => result.status === 'completed');
+    if (completed.length === 0) {
+      throw new Error('No trace in the batch could be converted');
+    }
+    
+    // One config for the whole project, pointed at the origin most traces ran against and
+    // running every browser any of them did
+    const projectBrowsers = [...new Set(browserLists.flat())];
+    await createTestEnvironment(outputDir, framework, language, getMostCommon(baseUrls),
+      projectBrowsers.length > 0 ? projectBrowsers : undefined);
     
-    if (job.framework === 'playwright') {
-      if (job.language === 'python') {
-        command = 'python';
-        args = ['-m', 'pytest', job.output.filename, '-v'];
-        if (!headless) {
-          args.push('--headed');
-        }
-      } else {
-        command = 'npx.cmd';
-        args = ['playwright', 'test', job.output.filename];
-        if (!headless) {
-          args.push('--headed');
-        }
+    const totals = completed.reduce((sum, result) => ({
+      totalActions: sum.totalActions + result.stats.totalActions,
+      convertedActions: sum.convertedActions + result.stats.convertedActions,
+      skippedActions: sum.skippedActions + result.stats.skippedActions,
+      testCount: sum.testCount + (result.stats.testCount || 1)
+    }), { totalActions: 0, convertedActions: 0, skippedActions: 0, testCount: 0 });
+    
+    batch.status = 'completed';
+    batch.output = {
+      path: outputDir,
+      results,
+      stats: totals
+    };
+    await batchStore.save(batch);
+    
+    res.json({
+      success: true,
+      batchId: batch.id,
+      framework,
+      language,
+      stats: totals,
+      results
+    });
+    
+  } catch (error) {
+    console.error('Batch conversion error:', error);
+    
+    if (batch) {
+      batch.status = 'failed';
+      batch.error = error.message;
+      saveInBackground(batchStore, batch);
+    }
+    
+    res.status(500).json({ error: 'Batch conversion failed: ' + error.message });
+  }
+});
+
+// Zip of a generated project as it can be run elsewhere. Installed dependencies and build output
+// are recreated by the project's own tooling, .home and .tmp are scratch space of isolated
+// executions, and results and artifacts belong to the runs on this server
+function createProjectArchive(projectDir) {
+  const runOutput = ['results'].concat(ARTIFACT_DIRECTORIES);
+  const zip = new AdmZip();
+  zip.addLocalFolder(projectDir, '', entryName => {
+    const relativePath = entryName.split(path.sep).join('/');
+    return !/(^|\/)(node_modules|target|bin|obj|\.home|\.tmp|__pycache__|\.pytest_cache)(\/|$)/.test(relativePath)
+      && !runOutput.some(directory => relativePath.startsWith(`${directory}/`));
+  });
+  return zip.toBuffer();
+}
+
+// Download a converted batch as a zip of the project directory
+app.get('/api/batch/:batchId/download', (req, res) => {
+  const batch = batchStore.get(req.params.batchId);
+  if (!batch || !batch.output) {
+    return res.status(404).json({ error: 'Batch or output not found' });
+  }
+  
+  try {
+    const archive = createProjectArchive(batch.output.path);
+    res.attachment(`migrated-tests-${batch.framework}-${batch.language}.zip`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Batch download error:', error);
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+// Install, browser setup and test run of one job once a slot is free; the outcome is stored on the job and ends the log
+async function runExecution(job, log, plan, controller, timeoutMinutes) {
+  const outputDir = path.dirname(job.output.path);
+  // Stays 'queued' when the execution is cancelled before it gets a slot
+  let phase = 'queued';
+  let timer = null;
+  let acquired = false;
+  
+  try {
+    if (executionQueue.isFull()) {
+      log.push('queued', { position: executionQueue.pending + 1 });
+    }
+    await executionQueue.acquire(controller.signal);
+    acquired = true;
+    job.status = 'executing';
+    saveInBackground(jobStore, job);
+    
+    await clearTestResults(job, outputDir);
+    await clearArtifacts(outputDir);
+    if (timeoutMinutes > 0) {
+      timer = setTimeout(() => controller.abort(new ExecutionAbortedError(
+        `Execution timed out after ${timeoutMinutes} minutes`, 'timeout')), timeoutMinutes * 60 * 1000);
+    }
+    
+    const runs = [];
+    for (const step of plan) {
+      phase = step.phase;
+      log.phase(phase, [path.basename(step.command), ...step.args].join(' '));
+      const result = await runner.run(step, {
+        cwd: outputDir,
+        signal: controller.signal,
+        onLine: (stream, text) => log.line(step.phase, stream, text)
+      });
+      if (phase !== 'run' && result.code !== 0) {
+        throw new Error(`${path.basename(step.command)} ${step.args.join(' ')} failed with code ${result.code}`);
       }
-    } else if (job.framework === 'cypress') {
-      command = 'npx.cmd';
-      args = ['cypress', 'run', '--spec', job.output.filename];
-      if (!headless) {
-        args.push('--headed');
+      if (phase === 'run') {
+        runs.push(result);
       }
     }
     
-    const execution = spawn(command, args, { 
-      cwd: outputDir,
-      stdio: 'pipe',
-      shell: true
-    });
-    
-    execution.on('error', (err) => {
+    // A Cypress browser matrix runs the tests once per browser; any failing run fails the execution
+    const failedRun = runs.find(run => run.code !== 0);
+    job.status = 'execution_completed';
+    job.execution = {
+      exitCode: (failedRun || runs[runs.length - 1]).code,
+      output: runs.map(run => run.stdout).join(''),
+      error: runs.map(run => run.stderr).join(''),
+      success: !failedRun,
+      // A broken report leaves the console output as the only result
+      results: await readTestResults(job, outputDir).catch(error => {
+        console.error(`Failed to read test results of job ${job.id}:`, error);
+        return null;
+      })
+    };
+  } catch (error) {
+    if (error instanceof ExecutionAbortedError && error.reason === 'cancelled') {
+      job.status = 'execution_cancelled';
+      job.error = error.message;
+    } else if (error instanceof ExecutionAbortedError) {
+      job.status = 'execution_failed';
+      job.error = `${error.message} in the ${phase} phase`;
+    } else {
       job.status = 'execution_failed';
-      job.execution = {
-        success: false,
-        exitCode: -1,
-        output: '',
-        error: `Test execution spawn error: ${err.message}`
-      };
-      conversionJobs.set(jobId, job);
+      job.error = phase === 'run'
+        ? `Test execution failed: ${error.message}`
+        : `Dependency installation failed: ${error.message}`;
+    }
+    job.execution = {
+      success: false,
+      exitCode: -1,
+      output: '',
+      error: job.error
+    };
+    if (error instanceof ExecutionAbortedError) {
+      job.execution.abortReason = error.reason;
+    }
+  } finally {
+    clearTimeout(timer);
+    if (acquired) {
+      executionQueue.release();
+    }
+    if (executionControllers.get(job.id) === controller) {
+      executionControllers.delete(job.id);
+    }
+  }
+  
+  // Screenshots and traces are what explain a run that failed or timed out
+  job.execution.artifacts = await collectArtifacts(job.id, outputDir).catch(error => {
+    console.error(`Failed to collect artifacts of job ${job.id}:`, error);
+    return [];
+  });
+  job.execution.phase = phase;
+  log.done({ status: job.status, execution: job.execution });
+  saveInBackground(jobStore, job);
+  
+  // The stored result covers later requests; the full log is only kept for a while
+  setTimeout(() => {
+    if (executionLogs.get(job.id) === log) {
+      executionLogs.delete(job.id);
+    }
+  }, EXECUTION_LOG_TTL_MS).unref();
+}
+
+// Rebuild the events of an execution whose log is gone, e.g. after a restart, from its stored result
+function getStoredExecutionLog(job) {
+  const log = new ExecutionLog();
+  if (job.execution) {
+    const phase = job.execution.phase || 'run';
+    log.phase(phase, null);
+    ['output', 'error'].forEach(field => {
+      (job.execution[field] || '').split('\n').filter(Boolean)
+        .forEach(text => log.line(phase, field === 'output' ? 'stdout' : 'stderr', text));
     });
+  }
+  log.done({ status: job.status, execution: job.execution || null });
+  return log;
+}
+
+// Execute generated test
+app.post('/api/execute/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { headless = true, timeoutMinutes } = req.body;
+    const job = jobStore.get(jobId);
     
-    let output = '';
-    let error = '';
+    if (!job || !job.output) {
+      return res.status(404).json({ error: 'Job or output not found' });
+    }
+    if (executionControllers.has(jobId)) {
+      return res.status(409).json({ error: 'Job is already executing' });
+    }
+    // A request may shorten the server's limit, not lift it
+    const timeout = timeoutMinutes === undefined ? EXECUTION_TIMEOUT_MINUTES : Number(timeoutMinutes);
+    if (timeoutMinutes !== undefined &&
+        (!(timeout > 0) || (EXECUTION_TIMEOUT_MINUTES > 0 && timeout > EXECUTION_TIMEOUT_MINUTES))) {
+      const limit = EXECUTION_TIMEOUT_MINUTES > 0 ? ` of at most ${EXECUTION_TIMEOUT_MINUTES}` : '';
+      return res.status(400).json({ error: `timeoutMinutes must be a number${limit} greater than 0` });
+    }
     
-    execution.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+    // Refuse to start when a program the project needs is missing, rather than failing halfway
+    let plan;
+    try {
+      plan = runner.planExecution(job, headless);
+    } catch (error) {
+      if (error instanceof ToolchainMissingError) {
+        return res.status(422).json({ error: error.message, ...error.toJSON() });
+      }
+      throw error;
+    }
     
-    execution.stderr.on('data', (data) => {
-      error += data.toString();
-    });
+    job.status = 'queued';
+    job.error = null;
+    job.execution = null;
+    await jobStore.save(job);
     
-    execution.on('close', (code) => {
-      job.status = 'execution_completed';
-      job.execution = {
-        exitCode: code,
-        output,
-        error,
-        success: code === 0
-      };
-      conversionJobs.set(jobId, job);
-    });
+    const log = new ExecutionLog();
+    const controller = new AbortController();
+    executionLogs.set(jobId, log);
+    executionControllers.set(jobId, controller);
+    const queued = executionQueue.isFull();
+    // Installs can take minutes, so the output is followed through the events stream instead of this response
+    runExecution(job, log, plan, controller, timeout)
+      .catch(error => console.error(`Execution of job ${jobId} failed:`, error));
     
-    // Return immediately with execution started status
     res.json({
       success: true,
-      message: 'Test execution started',
-      executionId: jobId
+      message: queued ? 'Test execution queued' : 'Test execution started',
+      executionId: jobId,
+      eventsUrl: `/api/execute/${jobId}/events`,
+      cancelUrl: `/api/execute/${jobId}/cancel`
     });
     
   } catch (error) {
@@ -487,11 +1022,62 @@ app.post('/api/execute/:jobId', async (req, res) => {
   }
 });
 
+// Stop a queued or running execution; the events stream reports the outcome once its processes have exited
+app.post('/api/execute/:jobId/cancel', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const controller = executionControllers.get(job.id);
+  if (!controller) {
+    return res.status(409).json({ error: 'Job is not executing' });
+  }
+  
+  controller.abort(new ExecutionAbortedError('Execution cancelled by request', 'cancelled'));
+  res.status(202).json({ success: true, message: 'Cancelling test execution' });
+});
+
+// Stream a job's execution output as Server-Sent Events until the execution ends
+app.get('/api/execute/:jobId/events', (req, res) => {
+  const job = jobStore.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const log = executionLogs.get(job.id) || getStoredExecutionLog(job);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  // EventSource sends the last id it saw when it reconnects, so only the missed events are replayed
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  log.since(lastEventId).forEach(send);
+  if (log.finished) {
+    return res.end();
+  }
+  
+  const onEvent = event => {
+    send(event);
+    if (event.type === 'done') {
+      res.end();
+    }
+  };
+  log.on('event', onEvent);
+  // Comments keep proxies from closing the connection during long silent installs
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EXECUTION_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    log.off('event', onEvent);
+  });
+});
+
 // Get all jobs (for dashboard)
 app.get('/api/jobs', (req, res) => {
-  const jobs = Array.from(conversionJobs.values())
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  res.json(jobs);
+  res.json(jobStore.list());
 });
 
 // Server logs endpoint
@@ -499,8 +1085,8 @@ app.get('/api/logs', (req, res) => {
   try {
     // In a real application, you might read from actual log files
     // For now, we'll return recent console output or job-related logs
-    const recentJobs = Array.from(conversionJobs.values())
-      .slice(-5) // Get last 5 jobs
+    const recentJobs = jobStore.list()
+      .slice(0, 5) // Get last 5 jobs
       .map(job => {
         let logEntry = `[${new Date().toISOString()}] Job ${job.id}: ${job.status}`;
         if (job.framework) logEntry += ` (${job.framework})`;
@@ -512,7 +1098,7 @@ app.get('/api/logs', (req, res) => {
       })
       .join('\n\n');
     
-    const serverInfo = `Framework Migration Server - Port ${PORT}\nUpload Directory: ${path.join(__dirname, '../uploads')}\nOutput Directory: ${path.join(__dirname, '../outputs')}\n\nRecent Activity:\n${recentJobs || 'No recent activity'}`;
+    const serverInfo = `Framework Migration Server - Port ${PORT}\nUpload Directory: ${UPLOAD_DIR}\nOutput Directory: ${OUTPUT_DIR}\n\nRecent Activity:\n${recentJobs || 'No recent activity'}`;
     
     res.json({ content: serverInfo });
   } catch (error) {
@@ -528,14 +1114,30 @@ app.get('*', (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `File upload error: files may be at most ${MAX_UPLOAD_MB}MB` });
+  }
   if (error instanceof multer.MulterError) {
     return res.status(400).json({ error: 'File upload error: ' + error.message });
   }
   res.status(500).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Framework Migration Server running on port ${PORT}`);
-  console.log(`📁 Upload directory: ${path.join(__dirname, '../uploads')}`);
-  console.log(`📤 Output directory: ${path.join(__dirname, '../outputs')}`);
-});
\ No newline at end of file
+// Reload jobs from earlier runs before accepting requests
+Promise.all([jobStore.load(), batchStore.load()])
+  .then(([jobCount, batchCount]) => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Framework Migration Server running on port ${PORT}`);
+      console.log(`📁 Upload directory: ${UPLOAD_DIR}`);
+      console.log(`📤 Output directory: ${OUTPUT_DIR}`);
+      console.log(`🗂️  Job store: ${JOB_STORE} (${jobCount} jobs, ${batchCount} batches loaded)`);
+    });
+    
+    if (RETENTION_SWEEP_MINUTES > 0) {
+      retention.start(RETENTION_SWEEP_MINUTES * 60 * 1000);
+    }
+  })
+  .catch(error => {
+    console.error('Failed to load jobs:', error);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,200 @@
+const vm = require('vm');
+const crossSpawn = require('cross-spawn');
+const ts = require('typescript');
+
+// Longest a Python syntax check may take, interpreter start-up included
+const PYTHON_CHECK_TIMEOUT_MS = 10000;
+
+// Reads the file from stdin and prints the first syntax error as JSON
+const PYTHON_CHECK_SCRIPT = [
+  'import ast, json, sys',
+  'try:',
+  '    ast.parse(sys.stdin.buffer.read().decode("utf-8"), sys.argv[1])',
+  'except SyntaxError as error:',
+  '    print(json.dumps({"line": error.lineno, "column": error.offset, "message": error.msg}))'
+].join('\n');
+
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+// One slip tends to cause many follow-on errors; the first ones are enough to find it
+const MAX_REPORTED_ERRORS = 20;
+
+// Syntax errors of a test file as { checked, checker, errors: [{ line, column, message }] }.
+// checked is false when the check could not run, such as without a Python interpreter on the server
+async function checkSyntax(content, language, { filename, runner }) {
+  let result;
+  switch (language) {
+    case 'javascript':
+      result = checkJavaScript(content, filename);
+      break;
+    case 'typescript':
+      result = checkTypeScript(content, filename);
+      break;
+    case 'python':
+      result = await checkPython(content, filename, runner);
+      break;
+    default:
+      result = checkBrackets(content);
+  }
+  result.errors = result.errors.slice(0, MAX_REPORTED_ERRORS);
+  return result;
+}
+
+// Specs with page objects import them as ES modules, which a script cannot contain
+const MODULE_SYNTAX = /^\s*(import\s*[\w{*'"]|export\s)/m;
+
+function checkJavaScript(content, filename) {
+  if (MODULE_SYNTAX.test(content)) {
+    // vm compiles modules only behind a flag, so the TypeScript parser checks them
+    return { ...checkTypeScript(content, filename), checker: 'typescript' };
+  }
+  try {
+    // Compiles without running, as the CommonJS script the converters generate otherwise
+    new vm.Script(content, { filename });
+    return { checked: true, checker: 'node', errors: [] };
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    // The stack starts with "<filename>:<line>", the offending line and a caret under the error
+    const [location, , caret = ''] = error.stack.split('\n');
+    const line = Number(location.slice(location.lastIndexOf(':') + 1)) || null;
+    const column = caret.indexOf('^') + 1 || null;
+    return { checked: true, checker: 'node', errors: [{ line, column, message: error.message }] };
+  }
+}
+
+function checkTypeScript(content, filename) {
+  // Syntax only: type errors would need the project's dependencies installed
+  const { diagnostics } = ts.transpileModule(content, {
+    fileName: filename,
+    reportDiagnostics: true,
+    compilerOptions: { target: ts.ScriptTarget.ES2020, module: ts.ModuleKind.CommonJS }
+  });
+  const errors = diagnostics.map(diagnostic => {
+    const position = diagnostic.file
+      ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+      : { line: -1, character: -1 };
+    return {
+      line: position.line + 1 || null,
+      column: position.character + 1 || null,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+    };
+  });
+  return { checked: true, checker: 'typescript', errors };
+}
+
+function checkPython(content, filename, runner) {
+  const python = runner.findPython();
+  if (!python) {
+    return Promise.resolve({
+      checked: false,
+      checker: 'python',
+      errors: [],
+      reason: 'No Python interpreter on the server'
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const child = crossSpawn(python.command, python.args.concat(['-c', PYTHON_CHECK_SCRIPT, filename]), {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), PYTHON_CHECK_TIMEOUT_MS);
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(`Python syntax check failed: ${stderr.trim() || `exit code ${code}`}`));
+        return;
+      }
+      const errors = stdout.trim() ? [JSON.parse(stdout)] : [];
+      resolve({ checked: true, checker: 'python', errors });
+    });
+    child.stdin.end(content);
+  });
+}
+
+// Java and C# need their compilers for a full check, which the server may not have. Unbalanced
+// brackets and unterminated strings and comments are the slips an edit in the browser makes most
+function checkBrackets(content) {
+  const errors = [];
+  const open = [];
+  let line = 1;
+  let lineStart = 0;
+  const positionOf = index => ({ line, column: index - lineStart + 1 });
+  // Index after the end of a string or comment starting at index, or -1 when it is not closed
+  const skip = (index, terminator, { escapes = true, singleLine = false } = {}) => {
+    for (let cursor = index; cursor < content.length; cursor++) {
+      if (content.startsWith(terminator, cursor)) {
+        return cursor + terminator.length;
+      }
+      if (escapes && content[cursor] === '\\') {
+        cursor++;
+      } else if (content[cursor] === '\n') {
+        if (singleLine) return -1;
+        line++;
+        lineStart = cursor + 1;
+      }
+    }
+    return -1;
+  };
+
+  let index = 0;
+  while (index < content.length) {
+    const char = content[index];
+    const start = positionOf(index);
+    let end = index + 1;
+    if (char === '\n') {
+      line++;
+      lineStart = index + 1;
+    } else if (content.startsWith('//', index)) {
+      end = content.indexOf('\n', index);
+      end = end === -1 ? content.length : end;
+    } else if (content.startsWith('/*', index)) {
+      end = skip(index + 2, '*/', { escapes: false });
+      if (end === -1) errors.push({ ...start, message: 'Unterminated comment' });
+    } else if (content.startsWith('"""', index)) {
+      // Java text block or C# raw string literal
+      end = skip(index + 3, '"""', { escapes: false });
+      if (end === -1) errors.push({ ...start, message: 'Unterminated text block' });
+    } else if (content.startsWith('@"', index) || content.startsWith('$@"', index) || content.startsWith('@$"', index)) {
+      // C# verbatim strings escape quotes by doubling them, which reads as two strings in a row
+      end = skip(content.indexOf('"', index) + 1, '"', { escapes: false });
+      if (end === -1) errors.push({ ...start, message: 'Unterminated string' });
+    } else if (char === '"' || char === '\'') {
+      end = skip(index + 1, char, { singleLine: true });
+      if (end === -1) {
+        errors.push({ ...start, message: char === '"' ? 'Unterminated string' : 'Unterminated character literal' });
+        end = content.indexOf('\n', index);
+        end = end === -1 ? content.length : end;
+      }
+    } else if ('([{'.includes(char)) {
+      open.push({ char, ...start });
+    } else if (CLOSING_BRACKETS[char]) {
+      const last = open.pop();
+      if (!last) {
+        errors.push({ ...start, message: `Unexpected '${char}'` });
+      } else if (last.char !== CLOSING_BRACKETS[char]) {
+        errors.push({ ...start, message: `'${char}' does not match the '${last.char}' on line ${last.line}` });
+      }
+    }
+    if (end === -1) break;
+    index = end;
+  }
+  open.forEach(bracket => errors.push({
+    line: bracket.line,
+    column: bracket.column,
+    message: `'${bracket.char}' is never closed`
+  }));
+  return { checked: true, checker: 'brackets', errors };
+}
+
+module.exports = {
+  checkSyntax
+};
@@ -0,0 +1,470 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getDeviceName, getCypressBrowsers } = require('../converters/browser-matrix');
+
+// Supported frameworks and languages, as listed by /api/frameworks
+const FRAMEWORKS = {
+  playwright: {
+    name: 'Playwright',
+    description: 'Modern end-to-end testing framework',
+    languages: [
+      { code: 'javascript', name: 'JavaScript', extension: '.spec.js', pageObjects: true },
+      { code: 'typescript', name: 'TypeScript', extension: '.spec.ts', pageObjects: true },
+      { code: 'python', name: 'Python', extension: '_test.py' },
+      { code: 'java', name: 'Java (JUnit 5)', extension: 'Test.java' },
+      { code: 'csharp', name: 'C# (NUnit)', extension: 'Test.cs' },
+      { code: 'csharp-mstest', name: 'C# (MSTest)', extension: 'Test.cs' }
+    ],
+    features: ['Cross-browser', 'Auto-wait', 'Network interception', 'Mobile testing']
+  },
+  cypress: {
+    name: 'Cypress',
+    description: 'Fast, easy and reliable testing for anything that runs in a browser',
+    languages: [
+      { code: 'javascript', name: 'JavaScript', extension: '.cy.js', pageObjects: true },
+      { code: 'typescript', name: 'TypeScript', extension: '.cy.ts', pageObjects: true }
+    ],
+    features: ['Real-time reloads', 'Time travel', 'Network stubbing', 'Visual testing']
+  },
+  webdriverio: {
+    name: 'WebdriverIO',
+    description: 'Next-gen browser automation with the closest API to Selenium',
+    languages: [
+      { code: 'javascript', name: 'JavaScript', extension: '.e2e.js' },
+      { code: 'typescript', name: 'TypeScript', extension: '.e2e.ts' }
+    ],
+    features: ['WebDriver & DevTools', 'Auto-wait', 'Selenium-like API', 'Mobile testing']
+  }
+};
+
+
+// Converter for a supported framework
+function getConverter(framework) {
+  if (!Object.prototype.hasOwnProperty.call(FRAMEWORKS, framework)) {
+    throw new Error(`Unsupported framework: ${framework}`);
+  }
+  const Converter = require(path.join(__dirname, '../converters', `${framework}-converter.js`));
+  return new Converter();
+}
+
+// Checks that a framework supports a language, so a project is never generated for a pair it
+// has no config for; throws with a message fit for the client
+function checkLanguage(framework, language) {
+  const languages = FRAMEWORKS[framework].languages;
+  if (!languages.some(entry => entry.code === language)) {
+    const codes = languages.map(entry => entry.code).join(', ');
+    throw new Error(`Unsupported language for ${framework}: ${language} (expected one of ${codes})`);
+  }
+}
+
+// Mochawesome options for one browser's run of a Cypress matrix, so runs do not overwrite
+// each other's results/cypress-<browser>.json
+function getCypressReporterOptions(browser) {
+  return `reportDir=results,reportFilename=cypress-${browser},overwrite=true,html=false,json=true`;
+}
+
+// What a generated project needs and the commands that set it up and run it, the same ones the
+// runner executes on the server. Every command works in POSIX shells, cmd and PowerShell alike
+function getRunInstructions(framework, language, browsers) {
+  if (framework === 'playwright' && language === 'java') {
+    return {
+      requirements: ['JDK 17 or later', 'Maven'],
+      setup: ['mvn -q test-compile', 'mvn -q exec:java -Dexec.args=install'],
+      run: 'mvn test',
+      headed: 'mvn test -Dheadless=false'
+    };
+  }
+  if (framework === 'playwright' && (language === 'csharp' || language === 'csharp-mstest')) {
+    return {
+      requirements: ['.NET 8 SDK', 'PowerShell, to install the browsers'],
+      setup: ['dotnet build', 'pwsh bin/Debug/net8.0/playwright.ps1 install'],
+      run: 'dotnet test',
+      headed: 'dotnet test -- Playwright.LaunchOptions.Headless=false'
+    };
+  }
+  if (framework === 'playwright' && language === 'python') {
+    return {
+      requirements: ['Python 3.8 or later'],
+      setup: ['python -m pip install -r requirements.txt', 'python -m playwright install'],
+      run: 'python -m pytest -v',
+      headed: 'python -m pytest -v --headed'
+    };
+  }
+  if (framework === 'playwright') {
+    return {
+      requirements: ['Node.js 18 or later'],
+      setup: ['npm install', 'npx playwright install'],
+      run: 'npx playwright test',
+      headed: 'npx playwright test --headed',
+      // Each entry of the matrix is a project of playwright.config.js
+      matrix: browsers.length > 1 ? { browsers, example: `npx playwright test --project=${browsers[1]}` } : null
+    };
+  }
+  if (framework === 'cypress') {
+    const cypressBrowsers = getCypressBrowsers(browsers);
+    return {
+      requirements: ['Node.js 18 or later'],
+      setup: ['npm install'],
+      run: 'npm test',
+      headed: 'npx cypress open',
+      matrix: cypressBrowsers.length > 1
+        ? { browsers: cypressBrowsers, example: `npm run test:${cypressBrowsers[1]}` }
+        : null
+    };
+  }
+  return {
+    requirements: ['Node.js 18 or later', 'Chrome'],
+    setup: ['npm install'],
+    run: 'npm test',
+    headed: 'npm run test:headed'
+  };
+}
+
+// README.md of a generated project, so a downloaded project can be run without this tool
+function getProjectReadme(framework, language, browsers) {
+  const frameworkInfo = FRAMEWORKS[framework];
+  const languageInfo = frameworkInfo.languages.find(candidate => candidate.code === language);
+  const instructions = getRunInstructions(framework, language, browsers);
+  const lines = [
+    '# Migrated Selenium Tests',
+    '',
+    `${frameworkInfo.name} tests in ${languageInfo ? languageInfo.name : language}, generated from Selenium traces by the Framework Migration Tool.`,
+    '',
+    '## Requirements',
+    '',
+    ...instructions.requirements.map(requirement => `- ${requirement}`),
+    '',
+    '## Setup',
+    '',
+    '```sh',
+    ...instructions.setup,
+    '```',
+    '',
+    '## Running the Tests',
+    '',
+    '```sh',
+    instructions.run,
+    '```',
+    '',
+    `To watch the tests in a browser window, run \`${instructions.headed}\` instead.`
+  ];
+  if (instructions.matrix) {
+    const { browsers: matrix, example } = instructions.matrix;
+    lines.push('', `The tests run in each of ${matrix.join(', ')}. To run them in one only, use e.g. \`${example}\`.`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Helper function to create test environment
+async function createTestEnvironment(outputDir, framework, language, baseUrl = null, browsers = ['chromium']) {
+  await fs.writeFile(path.join(outputDir, 'README.md'), getProjectReadme(framework, language, browsers));
+  
+  if (framework === 'playwright' && language === 'java') {
+    // Maven project that compiles the test class straight from the output directory
+    const pomXml = `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 http://maven.apache.org/xsd/maven-4.0.0.xsd">
+  <modelVersion>4.0.0</modelVersion>
+
+  <groupId>com.example</groupId>
+  <artifactId>migrated-playwright-test</artifactId>
+  <version>1.0.0</version>
+  <description>Migrated Selenium test for Playwright</description>
+
+  <properties>
+    <maven.compiler.source>17</maven.compiler.source>
+    <maven.compiler.target>17</maven.compiler.target>
+    <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+  </properties>
+
+  <dependencies>
+    <dependency>
+      <groupId>com.microsoft.playwright</groupId>
+      <artifactId>playwright</artifactId>
+      <version>1.40.0</version>
+      <scope>test</scope>
+    </dependency>
+    <dependency>
+      <groupId>org.junit.jupiter</groupId>
+      <artifactId>junit-jupiter</artifactId>
+      <version>5.10.1</version>
+      <scope>test</scope>
+    </dependency>
+  </dependencies>
+
+  <build>
+    <testSourceDirectory>\${project.basedir}</testSourceDirectory>
+    <plugins>
+      <plugin>
+        <groupId>org.apache.maven.plugins</groupId>
+        <artifactId>maven-surefire-plugin</artifactId>
+        <version>3.2.2</version>
+      </plugin>
+      <plugin>
+        <groupId>org.codehaus.mojo</groupId>
+        <artifactId>exec-maven-plugin</artifactId>
+        <version>3.1.1</version>
+        <configuration>
+          <classpathScope>test</classpathScope>
+          <mainClass>com.microsoft.playwright.CLI</mainClass>
+        </configuration>
+      </plugin>
+    </plugins>
+  </build>
+</project>
+`;
+    
+    await fs.writeFile(path.join(outputDir, 'pom.xml'), pomXml);
+    return;
+  }
+  
+  if (framework === 'playwright' && (language === 'csharp' || language === 'csharp-mstest')) {
+    const testAdapter = language === 'csharp-mstest'
+      ? `    <PackageReference Include="Microsoft.Playwright.MSTest" Version="1.40.0" />
+    <PackageReference Include="MSTest.TestAdapter" Version="3.1.1" />
+    <PackageReference Include="MSTest.TestFramework" Version="3.1.1" />`
+      : `    <PackageReference Include="Microsoft.Playwright.NUnit" Version="1.40.0" />
+    <PackageReference Include="NUnit" Version="3.14.0" />
+    <PackageReference Include="NUnit3TestAdapter" Version="4.5.0" />`;
+    
+    const csproj = `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <TargetFramework>net8.0</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>enable</Nullable>
+    <IsPackable>false</IsPackable>
+    <IsTestProject>true</IsTestProject>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="Microsoft.NET.Test.Sdk" Version="17.8.0" />
+    <PackageReference Include="JunitXml.TestLogger" Version="3.1.12" />
+${testAdapter}
+  </ItemGroup>
+
+</Project>
+`;
+    
+    await fs.writeFile(path.join(outputDir, 'MigratedSeleniumTests.csproj'), csproj);
+    return;
+  }
+  
+  if (framework === 'playwright') {
+    const packageJson = {
+      "name": "migrated-playwright-test",
+      "version": "1.0.0",
+      "description": "Migrated Selenium test for Playwright",
+      "scripts": {
+        "test": "playwright test",
+        "test:headed": "playwright test --headed",
+        "test:debug": "playwright test --debug"
+      },
+      "devDependencies": {
+        "@playwright/test": "^1.40.0"
+      }
+    };
+    
+    if (language === 'python') {
+      packageJson.scripts = {
+        "test": "python -m pytest -v",
+        "install": "pip install playwright pytest"
+      };
+      packageJson.devDependencies = {};
+      
+      // Create requirements.txt for Python
+      const requirements = "playwright\npytest\npytest-asyncio\npytest-playwright";
+      await fs.writeFile(path.join(outputDir, 'requirements.txt'), requirements);
+    }
+    
+    await fs.writeFile(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+    
+    // Create playwright.config.js
+    const playwrightConfig = `module.exports = {
+  testDir: './',
+  timeout: 30000,
+  expect: {
+    timeout: 5000
+  },
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 2 : 0,
+  workers: process.env.CI ? 1 : undefined,
+  // results/playwright.json is read back by the migration tool after a run
+  reporter: [['list'], ['json', { outputFile: 'results/playwright.json' }], ['html', { open: 'never' }]],
+  use: {
+    baseURL: ${baseUrl ? `'${baseUrl}'` : 'undefined'},
+    // Kept in test-results/ for failed tests and served as artifacts of the execution
+    trace: 'retain-on-failure',
+    screenshot: 'only-on-failure',
+    video: 'retain-on-failure'
+  },
+  // One project per entry of the conversion's browser matrix
+  projects: [
+${browsers.map(browser => `    {
+      name: '${browser}',
+      use: { ...require('@playwright/test').devices['${getDeviceName(browser)}'] }
+    }`).join(',\n')}
+  ]
+};`;
+    
+    await fs.writeFile(path.join(outputDir, 'playwright.config.js'), playwrightConfig);
+    
+  } else if (framework === 'cypress') {
+    const cypressBrowsers = getCypressBrowsers(browsers);
+    const packageJson = {
+      "name": "migrated-cypress-test",
+      "version": "1.0.0",
+      "description": "Migrated Selenium test for Cypress",
+      "scripts": {
+        "test": "cypress run",
+        "test:headed": "cypress open"
+      },
+      "devDependencies": {
+        "cypress": "^13.0.0",
+        "mochawesome": "^7.1.3"
+      }
+    };
+    // A matrix beyond the bundled Electron runs once per browser
+    if (cypressBrowsers.length > 1 || cypressBrowsers[0] !== 'electron') {
+      const runs = cypressBrowsers.map(browser =>
+        `cypress run --browser ${browser} --reporter-options ${getCypressReporterOptions(browser)}`);
+      packageJson.scripts.test = runs.join(' && ');
+      cypressBrowsers.forEach((browser, index) => {
+        packageJson.scripts[`test:${browser}`] = runs[index];
+      });
+    }
+    if (cypressBrowsers.includes('webkit')) {
+      packageJson.devDependencies["playwright-webkit"] = "^1.40.0";
+    }
+    
+    await fs.writeFile(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+    
+    // Create cypress.config.js
+    const cypressConfig = `const { defineConfig } = require('cypress');
+
+module.exports = defineConfig({
+  e2e: {
+    baseUrl: ${baseUrl ? `'${baseUrl}'` : 'null'},
+    supportFile: false,
+    specPattern: '*.cy.${language === 'typescript' ? 'ts' : 'js'}',
+    // Screenshots of failures and videos go to cypress/screenshots and cypress/videos
+    video: true,
+    screenshotOnRunFailure: true${cypressBrowsers.includes('webkit') ? `,
+    // WebKit runs through playwright-webkit
+    experimentalWebKitSupport: true` : ''}
+  },
+  // results/cypress.json (cypress-<browser>.json per browser of a matrix) is read back by the
+  // migration tool after a run
+  reporter: 'mochawesome',
+  reporterOptions: {
+    reportDir: 'results',
+    reportFilename: 'cypress',
+    overwrite: true,
+    html: false,
+    json: true
+  }
+});`;
+    
+    await fs.writeFile(path.join(outputDir, 'cypress.config.js'), cypressConfig);
+    
+  } else if (framework === 'webdriverio') {
+    const packageJson = {
+      "name": "migrated-webdriverio-test",
+      "version": "1.0.0",
+      "description": "Migrated Selenium test for WebdriverIO",
+      "scripts": {
+        "test": "wdio run ./wdio.conf.js",
+        // cross-env sets the variable in cmd and PowerShell as well as in POSIX shells
+        "test:headed": "cross-env HEADLESS=false wdio run ./wdio.conf.js"
+      },
+      "devDependencies": {
+        "@wdio/cli": "^8.27.0",
+        "@wdio/globals": "^8.27.0",
+        "@wdio/local-runner": "^8.27.0",
+        "@wdio/mocha-framework": "^8.27.0",
+        "@wdio/spec-reporter": "^8.27.0",
+        "@wdio/junit-reporter": "^8.27.0",
+        "cross-env": "^7.0.3"
+      }
+    };
+    
+    if (language === 'typescript') {
+      packageJson.devDependencies["typescript"] = "^5.3.0";
+      packageJson.devDependencies["ts-node"] = "^10.9.0";
+    }
+    
+    await fs.writeFile(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+    
+    // Create wdio.conf.js
+    const specExtension = language === 'typescript' ? 'ts' : 'js';
+    const wdioConfig = `const headless = process.env.HEADLESS !== 'false';
+
+exports.config = {
+  runner: 'local',
+  specs: ['./*.e2e.${specExtension}'],
+  maxInstances: 1,
+  capabilities: [{
+    browserName: 'chrome',
+    'goog:chromeOptions': {
+      args: headless ? ['--headless=new', '--disable-gpu'] : []
+    }
+  }],
+  logLevel: 'warn',
+  baseUrl: ${baseUrl ? `'${baseUrl}'` : 'undefined'},
+  waitforTimeout: 10000,
+  connectionRetryTimeout: 120000,
+  connectionRetryCount: 3,
+  framework: 'mocha',
+  // JUnit XML in results/ is read back by the migration tool after a run
+  reporters: ['spec', ['junit', { outputDir: './results', outputFileFormat: options => \`wdio-\${options.cid}.xml\` }]],
+  mochaOpts: {
+    ui: 'bdd',
+    timeout: 60000
+  },
+  // Screenshots of failed tests, collected as artifacts of the execution
+  afterTest: async function (test, context, { passed }) {
+    if (!passed) {
+      require('fs').mkdirSync('./screenshots', { recursive: true });
+      await browser.saveScreenshot(\`./screenshots/\${test.title.replace(/[^\\w-]+/g, '-')}.png\`);
+    }
+  }
+};`;
+    
+    await fs.writeFile(path.join(outputDir, 'wdio.conf.js'), wdioConfig);
+  }
+}
+
+// Spec name for a trace in a multi-trace project, unique among the project's output files
+function getSpecName(converter, language, fileName, usedFilenames) {
+  const baseName = fileName.replace(/(\.(ndjson|json|gz))+$/i, '').replace(/[^\w-]+/g, '-') || 'trace';
+  let specName = baseName;
+  let suffix = 2;
+  while (usedFilenames.has(converter.getFilename(language, specName))) {
+    specName = `${baseName}-${suffix++}`;
+  }
+  usedFilenames.add(converter.getFilename(language, specName));
+  return specName;
+}
+
+// Most frequent non-empty value, e.g. the base URL most traces in a project ran against
+function getMostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let mostCommon = null;
+  counts.forEach((count, value) => {
+    if (mostCommon === null || count > counts.get(mostCommon)) mostCommon = value;
+  });
+  return mostCommon;
+}
+
+module.exports = {
+  FRAMEWORKS,
+  getConverter,
+  checkLanguage,
+  createTestEnvironment,
+  getCypressReporterOptions,
+  getSpecName,
+  getMostCommon
+};
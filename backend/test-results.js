@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { findStep } = require('../converters/step-map');
+
+// Longest error message kept per test; the full stack stays in the console output
+const MAX_ERROR_LENGTH = 1000;
+
+const PLAYWRIGHT_STATUSES = {
+  passed: 'passed',
+  failed: 'failed',
+  timedOut: 'failed',
+  skipped: 'skipped',
+  interrupted: 'skipped'
+};
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: 'text',
+  isArray: name => ['testsuite', 'testcase', 'failure', 'error', 'skipped'].includes(name)
+});
+
+// Where each kind of project writes machine-readable results, relative to the project:
+// the reporters configured by test-project.js, pytest's and dotnet's options from the
+// runner's plan, and Maven Surefire's own reports for Java
+function getResultLocation(job) {
+  if (job.framework === 'playwright' && job.language === 'java') {
+    return { format: 'junit', directory: 'target/surefire-reports', pattern: /^TEST-.*\.xml$/ };
+  }
+  if (job.framework === 'playwright' && ['python', 'csharp', 'csharp-mstest'].includes(job.language)) {
+    return { format: 'junit', directory: 'results', pattern: /\.xml$/ };
+  }
+  if (job.framework === 'playwright') {
+    return { format: 'playwright', directory: 'results', pattern: /^playwright\.json$/ };
+  }
+  if (job.framework === 'cypress') {
+    return { format: 'mochawesome', directory: 'results', pattern: /\.json$/ };
+  }
+  return { format: 'junit', directory: 'results', pattern: /\.xml$/ };
+}
+
+// Results of an earlier run must not pass for those of the next one
+function clearTestResults(job, outputDir) {
+  return fs.remove(path.join(outputDir, getResultLocation(job).directory));
+}
+
+function parsePlaywrightReport(text, specFile) {
+  const records = [];
+  const visit = suite => {
+    (suite.specs || []).forEach(spec => spec.tests.forEach(test => {
+      // Retries add results; the last one decides
+      const result = test.results[test.results.length - 1] || {};
+      const error = result.error || (result.errors || [])[0] || null;
+      const location = error && error.location;
+      records.push({
+        name: spec.title,
+        project: test.projectName || null,
+        status: test.status === 'skipped' ? 'skipped' : PLAYWRIGHT_STATUSES[result.status] || 'skipped',
+        expectedFailure: test.expectedStatus === 'failed',
+        durationMs: result.duration || 0,
+        error: error ? error.message || error.value : null,
+        stack: error ? error.stack : null,
+        line: location && location.file && location.file.endsWith(specFile) ? location.line : null
+      });
+    }));
+    (suite.suites || []).forEach(visit);
+  };
+  (JSON.parse(text).suites || []).forEach(visit);
+  return records;
+}
+
+function parseMochawesomeReport(text, specFile, fileName) {
+  // Each browser of a matrix writes its own cypress-<browser>.json
+  const browser = /^cypress-(.+)\.json$/.exec(fileName);
+  const records = [];
+  const visit = suite => {
+    (suite.tests || []).forEach(test => records.push({
+      name: test.title,
+      project: browser ? browser[1] : null,
+      status: test.state === 'passed' || test.state === 'failed' ? test.state : 'skipped',
+      expectedFailure: false,
+      durationMs: test.duration || 0,
+      error: test.err && test.err.message ? test.err.message : null,
+      stack: test.err ? test.err.estack : null,
+      line: null
+    }));
+    (suite.suites || []).forEach(visit);
+  };
+  (JSON.parse(text).results || []).forEach(visit);
+  return records;
+}
+
+// JUnit XML as written by pytest, Maven Surefire, the .NET JUnit logger and WebdriverIO
+function parseJUnitReport(text) {
+  const document = xmlParser.parse(text);
+  const records = [];
+  const visit = suite => {
+    (suite.testcase || []).forEach(testCase => {
+      const failure = (testCase.failure || testCase.error || [])[0];
+      const skipped = (testCase.skipped || [])[0];
+      // pytest reports tests marked xfail that failed as skipped with this type
+      const expectedFailure = Boolean(skipped && skipped.type === 'pytest.xfail');
+      const details = typeof failure === 'object' ? failure : { text: failure };
+      let status = 'passed';
+      if (failure !== undefined || expectedFailure) {
+        status = 'failed';
+      } else if (skipped !== undefined) {
+        status = 'skipped';
+      }
+      // pytest names parametrised tests test_name[param], as it does for each browser of a matrix
+      const parameters = /^(.+)\[(.+)\]$/.exec(testCase.name);
+      records.push({
+        name: parameters ? parameters[1] : testCase.name,
+        project: parameters ? parameters[2] : null,
+        status,
+        expectedFailure,
+        durationMs: Math.round(parseFloat(testCase.time || 0) * 1000),
+        error: failure !== undefined
+          ? details.message || String(details.text || '').split('\n')[0] || 'Failed'
+          : (expectedFailure ? skipped.message || null : null),
+        stack: failure !== undefined ? String(details.text || '') : null,
+        line: null
+      });
+    });
+    (suite.testsuite || []).forEach(visit);
+  };
+  visit(document.testsuites || { testsuite: document.testsuite || [] });
+  return records;
+}
+
+const PARSERS = {
+  playwright: parsePlaywrightReport,
+  mochawesome: parseMochawesomeReport,
+  junit: parseJUnitReport
+};
+
+// Line of the spec file in a stack trace: "spec.js:12:5" in JavaScript, Python and Java, "Spec.cs:line 12" in .NET
+function findSpecLine(text, specFile) {
+  const escaped = specFile.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`${escaped}:(?:line )?(\\d+)`).exec(text);
+  return match ? Number(match[1]) : null;
+}
+
+// Runners report function and method names (test_login_flow, loginFlow(), LoginFlowAsync) or
+// qualified ones, so names are compared without case, separators and those affixes
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '').replace(/^test/, '').replace(/async$/, '');
+}
+
+function getNameVariants(name) {
+  const lastSegment = String(name).split(/[.#/:]/).filter(Boolean).pop() || name;
+  return [normalizeName(name), normalizeName(lastSegment)];
+}
+
+function matchTest(stepMap, name) {
+  const variants = getNameVariants(name);
+  return stepMap.find(test => getNameVariants(test.name).some(variant => variants.includes(variant)))
+    || (stepMap.length === 1 ? stepMap[0] : null);
+}
+
+// Steps before the failing line ran, the step containing it failed and the rest never ran
+function getStepOutcomes(mapTest, status, line) {
+  return mapTest.steps.map(step => {
+    let stepStatus = status;
+    if (status === 'failed') {
+      if (!line) {
+        stepStatus = 'unknown';
+      } else if (step.endLine < line) {
+        stepStatus = 'passed';
+      } else if (step.startLine <= line) {
+        stepStatus = 'failed';
+      } else {
+        stepStatus = 'skipped';
+      }
+    }
+    return { traceLine: step.traceLine, kind: step.kind, line: step.startLine, status: stepStatus };
+  });
+}
+
+function cleanError(message) {
+  // Playwright colours its messages
+  const text = String(message).replace(/\u001b\[[0-9;]*m/g, '').trim();
+  return text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}...` : text;
+}
+
+// Per-test outcomes of the last run from the files its reporters wrote, with each failure traced
+// back to the step of the original trace that produced the failing line; null when there are none
+async function readTestResults(job, outputDir) {
+  const location = getResultLocation(job);
+  const directory = path.join(outputDir, location.directory);
+  const names = await fs.readdir(directory).catch(() => []);
+  const files = names.filter(name => location.pattern.test(name)).sort();
+  if (files.length === 0) {
+    return null;
+  }
+
+  const specFile = job.output.filename;
+  const stepMap = job.output.stepMap || [];
+  const records = [];
+  for (const name of files) {
+    const text = await fs.readFile(path.join(directory, name), 'utf8');
+    records.push(...PARSERS[location.format](text, specFile, name));
+  }
+
+  const tests = records.map(record => {
+    const line = record.status === 'failed'
+      ? record.line || findSpecLine(`${record.stack || ''}\n${record.error || ''}`, specFile)
+      : null;
+    const located = line ? findStep(stepMap, line) : null;
+    const mapTest = located ? located.test : matchTest(stepMap, record.name);
+    return {
+      name: record.name,
+      project: record.project,
+      status: record.status,
+      expectedFailure: record.expectedFailure,
+      durationMs: record.durationMs,
+      error: record.error ? cleanError(record.error) : null,
+      line,
+      traceLine: located ? located.step.traceLine : null,
+      kind: located ? located.step.kind : null,
+      steps: mapTest ? getStepOutcomes(mapTest, record.status, line) : []
+    };
+  });
+
+  return {
+    format: location.format,
+    summary: {
+      total: tests.length,
+      passed: tests.filter(test => test.status === 'passed').length,
+      failed: tests.filter(test => test.status === 'failed').length,
+      skipped: tests.filter(test => test.status === 'skipped').length
+    },
+    tests
+  };
+}
+
+module.exports = {
+  readTestResults,
+  clearTestResults,
+  getResultLocation
+};
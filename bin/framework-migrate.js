@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const TestTemplate = require('../converters/test-template');
+const { normalizeBrowsers } = require('../converters/browser-matrix');
+const { FRAMEWORKS, getConverter, checkLanguage, createTestEnvironment, getSpecName, getMostCommon } = require('../backend/test-project');
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '../templates');
+
+// Exit codes CI can tell apart
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_USAGE_ERROR = 2;
+const EXIT_CONVERSION_ERROR = 3;
+
+const USAGE = `Usage: framework-migrate [options] <trace or directory>...
+
+Converts Selenium trace files (.ndjson/.json, optionally .gz) into a test project, one spec per trace.
+Directories are searched recursively for trace files.
+
+Options:
+  -f, --framework <name>   ${Object.keys(FRAMEWORKS).join(', ')} (default: playwright)
+  -l, --language <code>    Language of the generated tests (default: javascript)
+  -o, --out <dir>          Output directory (default: ./migrated-tests)
+  -t, --template <name>    Output template name from the template directory, or a path to a template .json file
+      --page-objects       Generate page objects (Playwright and Cypress, JavaScript/TypeScript)
+  -b, --browsers <list>    Comma-separated browsers and devices to run in, e.g. chromium,firefox,"Pixel 5"
+                           (default: detected from the Selenium driver of each trace)
+      --min-rate <percent> Exit with code ${EXIT_BELOW_THRESHOLD} when the overall conversion rate is below this (default: 0)
+      --json               Print the stats as JSON instead of a table
+  -h, --help               Show this help
+
+Exit codes: 0 success, ${EXIT_BELOW_THRESHOLD} conversion rate below --min-rate, ${EXIT_USAGE_ERROR} invalid arguments, ${EXIT_CONVERSION_ERROR} a trace could not be converted`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = {
+    framework: 'playwright',
+    language: 'javascript',
+    out: 'migrated-tests',
+    template: null,
+    pageObjects: false,
+    browsers: null,
+    minRate: 0,
+    json: false,
+    help: false,
+    inputs: []
+  };
+  const valueOptions = {
+    '-f': 'framework', '--framework': 'framework',
+    '-l': 'language', '--language': 'language',
+    '-o': 'out', '--out': 'out',
+    '-t': 'template', '--template': 'template',
+    '-b': 'browsers', '--browsers': 'browsers',
+    '--min-rate': 'minRate'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].startsWith('--') ? argv[i].split(/=(.*)/s) : [argv[i]];
+    if (valueOptions[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`Missing value for ${flag}`);
+      }
+      options[valueOptions[flag]] = value;
+    } else if (flag === '--page-objects') {
+      options.pageObjects = true;
+    } else if (flag === '--json') {
+      options.json = true;
+    } else if (flag === '-h' || flag === '--help') {
+      options.help = true;
+    } else if (flag.startsWith('-') && flag !== '-') {
+      throw new UsageError(`Unknown option: ${flag}`);
+    } else {
+      options.inputs.push(argv[i]);
+    }
+  }
+
+  options.minRate = Number(options.minRate);
+  if (Number.isNaN(options.minRate) || options.minRate < 0 || options.minRate > 100) {
+    throw new UsageError('--min-rate must be a number between 0 and 100');
+  }
+  if (options.browsers !== null) {
+    try {
+      options.browsers = normalizeBrowsers(options.browsers.split(','));
+    } catch (error) {
+      throw new UsageError(`--browsers: ${error.message}`);
+    }
+  }
+  return options;
+}
+
+async function findTraceFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (!await fs.pathExists(input)) {
+      throw new UsageError(`No such file or directory: ${input}`);
+    }
+    if (!(await fs.stat(input)).isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    for (const entry of (await fs.readdir(input)).sort()) {
+      if (entry.startsWith('.')) continue;
+      const entryPath = path.join(input, entry);
+      if ((await fs.stat(entryPath)).isDirectory()) {
+        files.push(...await findTraceFiles([entryPath]));
+      } else if (/\.(ndjson|json)(\.gz)?$/i.test(entry)) {
+        files.push(entryPath);
+      }
+    }
+  }
+  return files;
+}
+
+async function loadTemplate(template) {
+  if (!template) return undefined;
+  // A path to a file, otherwise a template name like the convert API takes
+  if (template.endsWith('.json') || template.includes('/') || template.includes(path.sep)) {
+    let definition;
+    try {
+      definition = await fs.readJson(template);
+    } catch (error) {
+      throw new UsageError(`Could not read template ${template}: ${error.message}`);
+    }
+    return new TestTemplate(definition);
+  }
+  return TestTemplate.load(template, TEMPLATES_DIR);
+}
+
+function formatTable(results, totals) {
+  const rows = results.map(result => result.error
+    ? [result.trace, '-', '-', '-', `failed: ${result.error}`]
+    : [
+      result.trace,
+      String(result.stats.testCount || 1),
+      `${result.stats.convertedActions}/${result.stats.totalActions}`,
+      `${result.rate}%`,
+      result.filename
+    ]);
+  rows.push(['Total', String(totals.testCount), `${totals.convertedActions}/${totals.totalActions}`, `${totals.rate}%`, '']);
+
+  const header = ['Trace', 'Tests', 'Actions', 'Rate', 'Output'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  return [format(header), format(widths.map(width => '-'.repeat(width)))]
+    .concat(rows.slice(0, -1).map(format), format(widths.map(width => '-'.repeat(width))), format(rows[rows.length - 1]))
+    .join('\n');
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (options.inputs.length === 0) {
+    throw new UsageError('No trace files given');
+  }
+
+  let converter;
+  try {
+    converter = getConverter(options.framework);
+    checkLanguage(options.framework, options.language);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (options.pageObjects && !(converter.supportsPageObjects && converter.supportsPageObjects(options.language))) {
+    throw new UsageError(`Page objects are not supported for ${options.framework} (${options.language})`);
+  }
+
+  let template;
+  try {
+    template = await loadTemplate(options.template);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const traceFiles = await findTraceFiles(options.inputs);
+  if (traceFiles.length === 0) {
+    throw new UsageError('No trace files found');
+  }
+
+  const outputDir = path.resolve(options.out);
+  await fs.ensureDir(outputDir);
+
+  const usedFilenames = new Set();
+  const results = [];
+  for (const traceFile of traceFiles) {
+    const traceName = path.basename(traceFile);
+    const specName = getSpecName(converter, options.language, traceName, usedFilenames);
+    try {
+      const result = await converter.convert(traceFile, options.language, {
+        pageObjects: options.pageObjects,
+        template,
+        browsers: options.browsers || undefined,
+        traceName,
+        specName,
+        pagesDir: traceFiles.length > 1 ? `pages/${specName}` : 'pages'
+      });
+      await fs.outputFile(path.join(outputDir, result.filename), result.content);
+      for (const file of result.files || []) {
+        await fs.outputFile(path.join(outputDir, file.filename), file.content);
+      }
+      const { totalActions, convertedActions } = result.stats;
+      results.push({
+        trace: traceFile,
+        filename: result.filename,
+        files: (result.files || []).map(file => file.filename),
+        baseUrl: result.baseUrl,
+        browsers: result.browsers || null,
+        stats: result.stats,
+        rate: totalActions > 0 ? Math.round((convertedActions / totalActions) * 100) : 0
+      });
+    } catch (error) {
+      results.push({ trace: traceFile, error: error.message });
+    }
+  }
+
+  const converted = results.filter(result => !result.error);
+  if (converted.length > 0) {
+    const browsers = [...new Set(converted.flatMap(result => result.browsers || []))];
+    await createTestEnvironment(outputDir, options.framework, options.language,
+      getMostCommon(converted.map(result => result.baseUrl)), browsers.length > 0 ? browsers : undefined);
+  }
+
+  const totals = converted.reduce((sum, result) => ({
+    totalActions: sum.totalActions + result.stats.totalActions,
+    convertedActions: sum.convertedActions + result.stats.convertedActions,
+    testCount: sum.testCount + (result.stats.testCount || 1)
+  }), { totalActions: 0, convertedActions: 0, testCount: 0 });
+  totals.rate = totals.totalActions > 0 ? Math.round((totals.convertedActions / totals.totalActions) * 100) : 0;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      framework: options.framework,
+      language: options.language,
+      outputDir,
+      minRate: options.minRate,
+      totals,
+      results
+    }, null, 2));
+  } else {
+    console.log(formatTable(results, totals));
+    for (const result of converted.filter(result => result.stats.malformedLines > 0)) {
+      console.error(`Warning: ${result.trace} has ${result.stats.malformedLines} malformed lines; steps on them may be missing`);
+    }
+    for (const result of converted.filter(result => result.stats.failedSteps > 0)) {
+      console.error(`Warning: the original test in ${result.trace} failed at ${result.stats.failedSteps} step${result.stats.failedSteps === 1 ? '' : 's'}`);
+    }
+    console.log(`\nWrote ${converted.length} spec${converted.length === 1 ? '' : 's'} for ${options.framework} (${options.language}) to ${outputDir}`);
+  }
+
+  if (converted.length < results.length) {
+    return EXIT_CONVERSION_ERROR;
+  }
+  if (totals.rate < options.minRate) {
+    console.error(`Conversion rate ${totals.rate}% is below the required ${options.minRate}%`);
+    return EXIT_BELOW_THRESHOLD;
+  }
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`framework-migrate: ${error.message}\n\n${USAGE}`);
+      process.exitCode = EXIT_USAGE_ERROR;
+    } else {
+      console.error(`framework-migrate: ${error.message}`);
+      process.exitCode = EXIT_CONVERSION_ERROR;
+    }
+  });
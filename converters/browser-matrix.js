@@ -0,0 +1,112 @@
+// Device names in Playwright's registry, taken from the devices of playwright-core 1.63. Regenerate the file
+// when the Playwright version of generated projects moves past the release it was taken from
+const PLAYWRIGHT_DEVICES = require('./playwright-devices.json');
+
+// Browser engines Playwright runs tests in; any other matrix entry names a device from
+// Playwright's device registry, such as "Pixel 5" or "iPhone 13"
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+
+// Playwright device descriptor each engine is emulated with in generated configs
+const ENGINE_DEVICES = {
+  chromium: 'Desktop Chrome',
+  firefox: 'Desktop Firefox',
+  webkit: 'Desktop Safari'
+};
+
+// Cypress runs the bundled Electron for Chromium, so a Chrome trace needs no local Chrome,
+// and WebKit through its experimental playwright-webkit support
+const CYPRESS_BROWSERS = {
+  chromium: 'electron',
+  firefox: 'firefox',
+  webkit: 'webkit'
+};
+
+const MAX_MATRIX_ENTRIES = 10;
+
+// Entries end up in generated configs and command lines, so only plain device names are accepted
+const ENTRY_PATTERN = /^[A-Za-z0-9][\w .()+-]{0,63}$/;
+
+// What Playwright runs for the Selenium driver a trace was recorded with. Mobile drivers come
+// first, as they report the browser they drive (Safari, Chrome) as well
+const DRIVER_BROWSERS = [
+  { pattern: /^IOSDriver$|iphone|ipad/i, browser: 'iPhone 13' },
+  { pattern: /^AndroidDriver$|android/i, browser: 'Pixel 5' },
+  { pattern: /firefox|gecko/i, browser: 'firefox' },
+  { pattern: /safari/i, browser: 'webkit' },
+  { pattern: /chrom|edge/i, browser: 'chromium' }
+];
+
+// Registry name of a device, matched without case, or null when Playwright has no such device
+function findDeviceName(name) {
+  const lowerName = name.toLowerCase();
+  return PLAYWRIGHT_DEVICES.find(device => device.toLowerCase() === lowerName) || null;
+}
+
+// Matrix for the drivers a trace used, most used first; Chromium when none is recognised
+function detectBrowsers(drivers = []) {
+  const browsers = [];
+  drivers.forEach(({ driver, browserName }) => {
+    const match = DRIVER_BROWSERS.find(candidate =>
+      candidate.pattern.test(driver) || candidate.pattern.test(browserName || ''));
+    if (match && !browsers.includes(match.browser)) {
+      browsers.push(match.browser);
+    }
+  });
+  return browsers.length > 0 ? browsers : ['chromium'];
+}
+
+// Validates a matrix from a request; throws with a message fit for the client
+function normalizeBrowsers(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('browsers must be a non-empty array of browser or device names');
+  }
+  if (value.length > MAX_MATRIX_ENTRIES) {
+    throw new Error(`browsers accepts at most ${MAX_MATRIX_ENTRIES} entries`);
+  }
+  const browsers = [];
+  value.forEach(entry => {
+    const name = typeof entry === 'string' ? entry.trim() : '';
+    if (!ENTRY_PATTERN.test(name)) {
+      throw new Error(`Invalid browser or device name: ${JSON.stringify(entry)}`);
+    }
+    const engine = name.toLowerCase();
+    // An unknown device would run as Desktop Chrome in JavaScript and fail to start in Python
+    const normalized = BROWSER_ENGINES.includes(engine) ? engine : findDeviceName(name);
+    if (!normalized) {
+      throw new Error(`Unknown browser or device: ${JSON.stringify(name)}. Use ${BROWSER_ENGINES.join(', ')} or a device name from Playwright's registry, such as "Pixel 5" or "iPhone 13"`);
+    }
+    if (!browsers.includes(normalized)) {
+      browsers.push(normalized);
+    }
+  });
+  return browsers;
+}
+
+function isBrowserEngine(entry) {
+  return BROWSER_ENGINES.includes(entry);
+}
+
+// Playwright device descriptor for a matrix entry
+function getDeviceName(entry) {
+  return ENGINE_DEVICES[entry] || entry;
+}
+
+// Browsers Cypress runs for a matrix; devices have no Cypress equivalent and are left out
+function getCypressBrowsers(browsers) {
+  const cypressBrowsers = [];
+  (browsers || []).filter(isBrowserEngine).forEach(entry => {
+    if (!cypressBrowsers.includes(CYPRESS_BROWSERS[entry])) {
+      cypressBrowsers.push(CYPRESS_BROWSERS[entry]);
+    }
+  });
+  return cypressBrowsers.length > 0 ? cypressBrowsers : [CYPRESS_BROWSERS.chromium];
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  detectBrowsers,
+  normalizeBrowsers,
+  isBrowserEngine,
+  getDeviceName,
+  getCypressBrowsers
+};
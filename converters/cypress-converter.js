@@ -1,82 +1,171 @@
-const fs = require('fs-extra');
+const path = require('path');
+const TraceParser = require('./trace-parser');
+const PageObjectModel = require('./page-object-model');
+const TestTemplate = require('./test-template');
+const { mapSteps, mapSource } = require('./step-map');
+
+// cy.type() special sequences of the keys the trace parser recognises. Tab and the function keys
+// have none, as Cypress cannot send them
+const TYPE_SEQUENCES = {
+  Enter: '{enter}',
+  Backspace: '{backspace}',
+  Delete: '{del}',
+  Escape: '{esc}',
+  ArrowLeft: '{leftarrow}',
+  ArrowRight: '{rightarrow}',
+  ArrowUp: '{uparrow}',
+  ArrowDown: '{downarrow}',
+  Home: '{home}',
+  End: '{end}',
+  PageUp: '{pageup}',
+  PageDown: '{pagedown}',
+  Insert: '{insert}',
+  Space: ' ',
+  Shift: '{shift}',
+  Control: '{ctrl}',
+  Alt: '{alt}',
+  Meta: '{meta}'
+};
 
 class CypressConverter {
   constructor() {
-    this.supportedActions = new Set([
-      'get', 'click', 'sendKeys', 'clear', 'getTagName', 
-      'Navigation.refresh', 'Navigation.back', 'Navigation.forward'
-    ]);
+    this.supportedActions = TraceParser.SUPPORTED_KINDS;
+    this.pageObjectLanguages = new Set(['javascript', 'typescript']);
+  }
+
+  supportsPageObjects(language) {
+    return this.pageObjectLanguages.has(language);
   }
 
-  async convert(traceFilePath, language = 'javascript') {
-    const traceContent = await fs.readFile(traceFilePath, 'utf8');
-    const lines = traceContent.split('\n').filter(line => line.trim());
+  async convert(traceFilePath, language = 'javascript', options = {}) {
+    const trace = await new TraceParser().parseFile(traceFilePath, { onProgress: options.onProgress });
+    // XPath steps are left as comments, so they get no page object members
+    const pageObjects = options.pageObjects && this.supportsPageObjects(language)
+      ? new PageObjectModel(trace.steps.filter(step => !this.isXPathStep(step)))
+      : null;
+    const template = (options.template || new TestTemplate()).resolve('cypress', language, {
+      baseUrl: trace.summary.baseUrl,
+      traceFile: options.traceName || path.basename(traceFilePath)
+    });
     
-    const steps = [];
     const stats = {
-      totalActions: 0,
-      convertedActions: 0,
-      skippedActions: 0,
-      actionBreakdown: {}
+      totalActions: trace.summary.totalSteps,
+      convertedActions: trace.summary.supportedSteps,
+      skippedActions: trace.summary.unsupportedSteps,
+      actionBreakdown: trace.summary.actionTypes,
+      // Malformed lines, so a corrupted trace does not pass for a short one
+      malformedLines: trace.summary.validation.invalidLines + trace.summary.validation.unknownEvents,
+      failedSteps: trace.summary.failures.length
     };
     
-    // Actions that are automatically handled by modern frameworks
-    const autoHandledActions = new Set([
-      'findElement', 'findElements', 'ImplicitWait.set', 'Navigation.to'
-    ]);
-    
-    let currentOrigin = null;
-    let navigationHistory = [];
+    // Each test or parallel session in the trace becomes its own it() block
+    const traceTests = trace.tests.filter(test => test.steps.some(step => !step.autoHandled));
+    if (traceTests.length === 0) {
+      traceTests.push({ name: null, steps: [] });
+    }
+    stats.testCount = traceTests.length;
     
-    lines.forEach(line => {
-      try {
-        const event = JSON.parse(line);
-        if (event.evt === 'step.ok') {
-          const action = event.kind;
-          stats.actionBreakdown[action] = (stats.actionBreakdown[action] || 0) + 1;
-          
-          // Only count actions that require explicit conversion
-          if (!autoHandledActions.has(action)) {
-            stats.totalActions++;
-          }
-          
-          if (this.supportedActions.has(action)) {
-            const step = this.convertStep(event, language, currentOrigin, navigationHistory);
-            if (step) {
-              steps.push(step);
-              stats.convertedActions++;
-              
-              // Track navigation for cross-origin handling
-              if (action === 'get' && step.url) {
-                const origin = this.extractOrigin(step.url);
-                navigationHistory.push(origin);
-                currentOrigin = origin;
-              }
-            }
-          } else if (!autoHandledActions.has(action)) {
-            // Only count as skipped if it's not auto-handled
-            stats.skippedActions++;
-            steps.push({
-              action: this.generateComment(`Unsupported action: ${action}`, language),
-              comment: `Original target: ${event.target || 'N/A'}`
-            });
-          }
-        }
-      } catch (e) {
-        // Skip invalid JSON lines
+    const tests = traceTests.map(traceTest => {
+      const steps = this.convertSteps(traceTest.steps, language, pageObjects);
+      const pages = pageObjects ? pageObjects.getPagesForSteps(traceTest.steps) : [];
+      if (pages.length > 0) {
+        // The template terminates each action, so only the inner statements need a semicolon
+        steps.unshift({
+          action: pages.map(page => `const ${page.variableName} = new ${page.className}()`).join(';\n    '),
+          comment: 'Page objects for the pages visited in the trace'
+        });
       }
+      return {
+        name: TestTemplate.getTestName(template, traceTest, 'should execute migrated test steps', traceTests.length),
+        failure: traceTest.failure ? this.describeFailure(traceTest.failure) : null,
+        steps
+      };
     });
     
-    const testContent = this.generateTestFile(steps, language);
-    const filename = this.getFilename(language);
+    // Steps of supported kinds that were still written as comments count as skipped
+    const unconverted = tests.reduce((count, test) =>
+      count + test.steps.filter(step => step.unsupported && this.supportedActions.has(step.kind)).length, 0);
+    stats.convertedActions -= unconverted;
+    stats.skippedActions += unconverted;
+    
+    // Batches keep each trace's page objects apart, since pages with the same name differ per trace
+    const pagesDir = options.pagesDir || 'pages';
+    let imports = '';
+    const files = [];
+    if (pageObjects && pageObjects.pages.length > 0) {
+      imports = pageObjects.pages.map(page =>
+        `import { ${page.className} } from './${pagesDir}/${page.fileName}';`
+      ).join('\n');
+      pageObjects.pages.forEach(page => files.push({
+        filename: `${pagesDir}/${page.fileName}.${language === 'typescript' ? 'ts' : 'js'}`,
+        content: this.generatePageObjectFile(page, language)
+      }));
+    }
+    
+    const testContent = this.generateTestFile(tests, language, imports, template);
+    const filename = this.getFilename(language, options.specName);
     
     return {
       content: testContent,
       filename,
+      files,
+      baseUrl: trace.summary.baseUrl,
+      // Cypress runs the matrix's browser engines, one run each; see test-project.js
+      browsers: options.browsers || trace.summary.browsers,
+      stepMap: mapSteps(testContent, tests),
+      sourceMap: mapSource(testContent, tests, trace.steps),
       stats
     };
   }
 
+  convertSteps(traceSteps, language, pageObjects) {
+    const steps = [];
+    // Every it() starts on a fresh page, so cross-origin tracking is per test
+    let currentOrigin = null;
+    let navigationHistory = [];
+    
+    traceSteps.forEach(traceStep => {
+      // Mark where the original run failed, even when the failing step produces no code
+      if (traceStep.failed) {
+        steps.push({
+          action: this.generateComment(`Original Selenium test failed here: ${traceStep.error}`, language),
+          comment: `${traceStep.kind} failed at trace line ${traceStep.line}`
+        });
+      }
+      
+      // Lookups and implicit waits are handled by Cypress's retrying cy.get
+      if (traceStep.autoHandled) return;
+      
+      if (this.supportedActions.has(traceStep.kind)) {
+        const step = (pageObjects && this.convertPageObjectStep(traceStep, pageObjects))
+          || this.convertStep(traceStep, language, currentOrigin, navigationHistory);
+        if (step) {
+          // Lets results of the generated test point back at the trace
+          step.traceLine = traceStep.line;
+          step.kind = traceStep.kind;
+          steps.push(step);
+          
+          // Track navigation for cross-origin handling
+          if (traceStep.kind === 'get' && step.url) {
+            const origin = this.extractOrigin(step.url);
+            navigationHistory.push(origin);
+            currentOrigin = origin;
+          }
+        }
+      } else {
+        steps.push({
+          action: this.generateComment(`Unsupported action: ${traceStep.kind}`, language),
+          comment: `Original target: ${traceStep.target || 'N/A'} (trace line ${traceStep.line})`,
+          traceLine: traceStep.line,
+          kind: traceStep.kind,
+          unsupported: true
+        });
+      }
+    });
+    
+    return steps;
+  }
+
   extractOrigin(url) {
     if (!url) return null;
     try {
@@ -87,59 +176,54 @@ class CypressConverter {
     }
   }
 
-  extractCleanSelector(target) {
-    if (!target) return '';
-    
-    // Handle the format: [[ChromeDriver: ...] -> name: my-text]
-    const cleanLocatorMatch = target.match(/\[\[.*?\] -> (.+?)\]/);
-    if (cleanLocatorMatch) {
-      const locatorPart = cleanLocatorMatch[1];
-      
-      if (locatorPart.startsWith('name: ')) {
-        const name = locatorPart.replace('name: ', '');
-        return `[name="${name}"]`;
-      }
-      
-      if (locatorPart.startsWith('css selector: ')) {
-        return locatorPart.replace('css selector: ', '');
-      }
-      
-      if (locatorPart.startsWith('xpath: ')) {
-        const xpath = locatorPart.replace('xpath: ', '');
-        return `xpath=${xpath}`;
-      }
-      
-      if (locatorPart.startsWith('tag name: ')) {
-        const tagName = locatorPart.replace('tag name: ', '');
-        return tagName;
-      }
-      
-      if (locatorPart.startsWith('id: ')) {
-        const id = locatorPart.replace('id: ', '');
-        return `#${id}`;
-      }
-      
-      if (locatorPart.startsWith('class: ')) {
-        const className = locatorPart.replace('class: ', '');
-        return `.${className}`;
-      }
-      
-      return locatorPart;
-    }
+  describeFailure(failure) {
+    return `The original Selenium test failed at trace line ${failure.line} (${failure.kind}): ${failure.error}`;
+  }
+
+  // Quoted for attribute selectors and jQuery :contains(), so a quote in the value cannot end the string
+  quoteSelectorValue(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  locatorToSelector(locator) {
+    if (!locator) return '';
     
-    // Handle URLs
-    if (target.startsWith('http') || target.startsWith('[http')) {
-      return target.replace(/[\[\]]/g, '');
+    const { strategy, value } = locator;
+    switch (strategy) {
+      case 'id':
+        return `#${value}`;
+      case 'name':
+        return `[name=${this.quoteSelectorValue(value)}]`;
+      case 'className':
+        return `.${value}`;
+      case 'linkText':
+      case 'partialLinkText':
+        // jQuery :contains() is what cy.get understands for link text
+        return `a:contains(${this.quoteSelectorValue(value)})`;
+      case 'cssSelector':
+      case 'tagName':
+      default:
+        return value;
     }
-    
-    return target;
   }
 
-  convertStep(event, language, currentOrigin = null, navigationHistory = []) {
-    const { kind, target, durationMs } = event;
-    const selector = this.extractCleanSelector(target);
+  convertStep(traceStep, language, currentOrigin = null, navigationHistory = []) {
+    const { kind, durationMs } = traceStep;
+    const selector = traceStep.type === 'navigation'
+      ? traceStep.url || ''
+      : this.locatorToSelector(traceStep.locator);
     // Always use double quotes for selectors to avoid escaping issues with single quotes in CSS selectors
-    const escapedSelector = selector ? selector.replace(/"/g, '\\"') : '';
+    const escapedSelector = selector ? selector.replace(/\\/g, '\\\\').replace(/"/g, '\\"') : '';
+    
+    // cy.get() only takes CSS selectors; XPath would need a plugin the generated project does not have
+    if (this.isXPathStep(traceStep) && !traceStep.redundant) {
+      return {
+        action: this.generateComment(`Unsupported locator: ${kind} on XPath ${traceStep.locator.value}`, language),
+        comment: `${kind} by XPath (trace line ${traceStep.line})`,
+        unsupported: true,
+        reason: 'cy.get() cannot find elements by XPath; left as a comment'
+      };
+    }
     
     switch (kind) {
       case 'get':
@@ -158,11 +242,11 @@ class CypressConverter {
           const parentMatch = selector.match(/^(.+?) option/);
           if (parentMatch) {
             const parentSelector = parentMatch[1];
-            const escapedParentSelector = parentSelector.replace(/"/g, '\\"');
+            const escapedParentSelector = parentSelector.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
             if (selector.includes(':has-text(')) {
               const textMatch = selector.match(/:has-text\("(.+?)"\)/);
               const text = textMatch[1];
-              const escapedText = text.replace(/"/g, '\\"');
+              const escapedText = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
               return {
                 action: `cy.get("${escapedParentSelector}").select("${escapedText}")`,
                 comment: 'Select option by text'
@@ -177,8 +261,32 @@ class CypressConverter {
         };
         
       case 'sendKeys':
-        const inputValue = this.guessInputValue(selector);
-        const escapedValue = inputValue ? inputValue.replace(/"/g, '\\"') : '';
+        if (!traceStep.keys) {
+          const message = `Missing input value for ${selector} (trace line ${traceStep.line}): the trace did not record the keys sent`;
+          return {
+            action: `throw new Error("${message.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}")`,
+            comment: 'Type into input field (value not recorded in trace)'
+          };
+        }
+        
+        if (traceStep.keys.length === 0) {
+          return {
+            action: `cy.get("${escapedSelector}").clear()`,
+            comment: 'Type into input field (empty value)'
+          };
+        }
+        
+        const untypableKeys = this.getUntypableKeys(traceStep.keys);
+        if (untypableKeys.length > 0) {
+          return {
+            action: this.generateComment(`Unsupported keys: cy.type() cannot send ${untypableKeys.join(', ')} to ${selector}`, language),
+            comment: 'Type into input field (keys Cypress cannot send)',
+            unsupported: true
+          };
+        }
+        
+        const typedValue = this.toTypeSequence(traceStep.keys);
+        const escapedValue = typedValue.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
         return {
           action: `cy.get("${escapedSelector}").type("${escapedValue}")`,
           comment: 'Type into input field'
@@ -196,6 +304,30 @@ class CypressConverter {
           comment: 'Verify element is visible'
         };
         
+      case 'Wait.until':
+        if (traceStep.redundant) return null;
+        
+        const timeoutOption = traceStep.timeoutMs ? `{ timeout: ${traceStep.timeoutMs} }` : '';
+        if (traceStep.locator) {
+          return {
+            action: `cy.get("${escapedSelector}"${timeoutOption ? `, ${timeoutOption}` : ''}).should('be.visible')`,
+            comment: `Wait for element (WebDriverWait took ${durationMs}ms)`
+          };
+        }
+        
+        if (traceStep.pageUrl) {
+          const escapedUrl = traceStep.pageUrl.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+          return {
+            action: `cy.url(${timeoutOption}).should('eq', "${escapedUrl}")`,
+            comment: `Wait for page (WebDriverWait took ${durationMs}ms)`
+          };
+        }
+        
+        return {
+          action: `cy.document().its('readyState').should('eq', 'complete')`,
+          comment: `Wait for page load (WebDriverWait took ${durationMs}ms)`
+        };
+        
       case 'Navigation.refresh':
         return {
           action: `cy.reload()`,
@@ -210,7 +342,9 @@ class CypressConverter {
             // Cross-origin back navigation - replace with direct visit
             return {
               action: `// cy.go('back') - Skipped due to cross-origin navigation`,
-              comment: 'Navigate back (skipped - cross-origin)'
+              comment: 'Navigate back (skipped - cross-origin)',
+              unsupported: true,
+              reason: 'cy.go() cannot go back to another origin; left as a comment'
             };
           }
         }
@@ -223,127 +357,222 @@ class CypressConverter {
         // Similar check for forward navigation
         return {
           action: `// cy.go('forward') - Skipped due to potential cross-origin navigation`,
-          comment: 'Navigate forward (skipped - cross-origin)'
+          comment: 'Navigate forward (skipped - cross-origin)',
+          unsupported: true,
+          reason: 'cy.go() may have to go forward to another origin, which it cannot; left as a comment'
         };
         
       default:
+        // A kind the parser supports but this converter has no code for is reported like an unsupported one
         return {
-          action: this.generateComment(`TODO: Implement ${kind} action`, language),
-          comment: `Unsupported action: ${kind}`
+          action: this.generateComment(`Unsupported action: ${kind}`, language),
+          comment: `Original target: ${traceStep.target || 'N/A'} (trace line ${traceStep.line})`,
+          unsupported: true
         };
     }
   }
 
-  generateComment(text, language) {
-    return `// ${text}`;
+  isXPathStep(traceStep) {
+    return Boolean(traceStep.locator) && traceStep.locator.strategy === 'xpath';
   }
 
-  guessInputValue(selector) {
-    if (selector.includes('password')) return 'testPassword123';
-    if (selector.includes('email')) return 'test@example.com';
-    if (selector.includes('text')) return 'Sample text input';
-    if (selector.includes('textarea')) return 'This is sample textarea content';
-    if (selector.includes('name')) return 'John Doe';
-    return 'test-value';
+  convertPageObjectStep(traceStep, pageObjects) {
+    const { kind, durationMs } = traceStep;
+    
+    if (kind === 'get') {
+      const page = pageObjects.getPageForUrl(traceStep.url);
+      if (!page) return null;
+      return {
+        action: `${page.variableName}.visit()`,
+        comment: `Navigate to ${traceStep.url}`,
+        url: traceStep.url,
+        origin: this.extractOrigin(traceStep.url)
+      };
+    }
+    
+    // Steps without a page object reference fall back to inline selectors
+    const reference = pageObjects.getReference(traceStep);
+    if (!reference) return null;
+    
+    const { page, element } = reference;
+    
+    switch (kind) {
+      case 'click':
+        return {
+          action: `${page.variableName}.click${element.methodSuffix}()`,
+          comment: `Click element (${durationMs}ms)`
+        };
+        
+      case 'sendKeys':
+        // Missing and unsupported keys are reported by convertStep
+        if (!traceStep.keys || this.getUntypableKeys(traceStep.keys).length > 0) return null;
+        if (traceStep.keys.length === 0) {
+          return {
+            action: `${page.variableName}.clear${element.methodSuffix}()`,
+            comment: 'Type into input field (empty value)'
+          };
+        }
+        return {
+          action: `${page.variableName}.type${element.methodSuffix}("${this.toTypeSequence(traceStep.keys).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}")`,
+          comment: 'Type into input field'
+        };
+        
+      case 'clear':
+        return {
+          action: `${page.variableName}.clear${element.methodSuffix}()`,
+          comment: 'Clear input field'
+        };
+        
+      case 'getTagName':
+        return {
+          action: `${page.variableName}.${element.name}().should('be.visible')`,
+          comment: 'Verify element is visible'
+        };
+        
+      case 'Wait.until':
+        if (traceStep.redundant) return null;
+        return {
+          action: `${page.variableName}.${element.name}(${traceStep.timeoutMs ? `{ timeout: ${traceStep.timeoutMs} }` : ''}).should('be.visible')`,
+          comment: `Wait for element (WebDriverWait took ${durationMs}ms)`
+        };
+        
+      default:
+        return null;
+    }
+  }
+
+  generatePageObjectFile(page, language) {
+    const typescript = language === 'typescript';
+    const members = [];
+    
+    page.elements.forEach(element => {
+      const selector = this.locatorToSelector(element.locator).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+      members.push(`  ${element.name}(options${typescript ? '?: Partial<Cypress.Loggable & Cypress.Timeoutable>' : ''}) {
+    return cy.get("${selector}", options);
+  }`);
+      
+      if (element.actions.has('click')) {
+        members.push(`  click${element.methodSuffix}() {
+    this.${element.name}().click();
+  }`);
+      }
+      if (element.actions.has('sendKeys')) {
+        members.push(`  type${element.methodSuffix}(value${typescript ? ': string' : ''}) {
+    this.${element.name}().type(value);
+  }`);
+      }
+      if (element.actions.has('sendKeys') || element.actions.has('clear')) {
+        members.push(`  clear${element.methodSuffix}() {
+    this.${element.name}().clear();
+  }`);
+      }
+    });
+    
+    const url = page.url.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    
+    return `${typescript ? '/// <reference types="cypress" />\n\n' : ''}// Page object for ${page.url}
+export class ${page.className} {
+  ${typescript ? 'readonly url = ' : 'url = '}"${url}";
+
+  visit() {
+    cy.visit(this.url);
+  }
+
+${members.join('\n\n')}
+}
+`;
+  }
+
+  // Text for cy.type(); keys without a sequence must be ruled out with getUntypableKeys first
+  toTypeSequence(keys) {
+    return keys.map(part => {
+      if (part.key) return TYPE_SEQUENCES[part.key];
+      // A literal { starts a special sequence in cy.type()
+      return part.text.replace(/{/g, '{{}');
+    }).join('');
+  }
+
+  getUntypableKeys(keys) {
+    return keys.filter(part => part.key && !TYPE_SEQUENCES[part.key]).map(part => part.key);
   }
 
-  generateTestFile(steps, language) {
+  generateComment(text, language) {
+    return `// ${text}`;
+  }
+
+  generateTestFile(tests, language, extraImports = '', template) {
     switch (language) {
       case 'typescript':
-        return this.generateTypeScriptTest(steps);
+        return this.generateTypeScriptTest(tests, extraImports, template);
       case 'javascript':
       default:
-        return this.generateJavaScriptTest(steps);
+        return this.generateJavaScriptTest(tests, extraImports, template);
     }
   }
 
-  generateJavaScriptTest(steps) {
-    const testBody = steps.map(step => 
-      `    // ${step.comment}\n    ${step.action};`
-    ).join('\n\n');
-    
-    return `describe('Migrated Selenium Test', () => {
-  it('should execute migrated test steps', () => {
-    // This test was automatically migrated from Selenium trace
-    
-${testBody}
-  });
+  applyTemplate(content, template) {
+    const header = template.header ? `${template.header}\n\n` : '';
+    const footer = template.footer ? `\n${template.footer}\n` : '';
+    return `${header}${content}${footer}`;
+  }
 
-  it('should handle form interactions', () => {
-    // Simplified form interaction test
-    cy.visit('https://www.selenium.dev/selenium/web/web-form.html');
-    
-    cy.get('[name="my-text"]').type('Sample text input');
-    cy.get('[name="my-password"]').type('testPassword123');
-    cy.get('[name="my-select"]').select('Two');
-    cy.get('input[type="checkbox"]').check();
-    
-    // Verify form state
-    cy.get('[name="my-text"]').should('have.value', 'Sample text input');
-    cy.get('[name="my-select"]').should('have.value', '2');
-    cy.get('input[type="checkbox"]').should('be.checked');
-  });
+  indentBlock(text, indent) {
+    return text.split('\n').map(line => line ? `${indent}${line}` : line).join('\n');
+  }
 
-  it('should handle single-origin navigation', () => {
-    // Test navigation within the same origin to avoid cross-origin issues
-    cy.visit('https://www.selenium.dev/selenium/web/web-form.html');
-    cy.get('[name="my-text"]').should('be.visible');
-    
-    // Verify we're on the correct page
-    cy.url().should('include', 'selenium.dev');
-    cy.title().should('contain', 'Web form');
-  });
-});`;
+  quoteSingle(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
   }
 
-  generateTypeScriptTest(steps) {
-    const testBody = steps.map(step => 
-      `    // ${step.comment}\n    ${step.action};`
-    ).join('\n\n');
-    
-    return `/// <reference types="cypress" />
+  generateJavaScriptTest(tests, extraImports = '', template) {
+    return this.applyTemplate(`${extraImports ? `${extraImports}\n\n` : ''}${this.generateCypressSuite(tests, template)}
+`, template);
+  }
 
-describe('Migrated Selenium Test', () => {
-  it('should execute migrated test steps', () => {
-    // This test was automatically migrated from Selenium trace
-    
-${testBody}
+  generateTypeScriptTest(tests, extraImports = '', template) {
+    return this.applyTemplate(`/// <reference types="cypress" />
+${extraImports ? `\n${extraImports}\n` : ''}
+${this.generateCypressSuite(tests, template)}
+`, template);
+  }
+
+  generateCypressSuite(tests, template) {
+    const hooks = ['beforeEach', 'afterEach']
+      .filter(hook => template[hook].length > 0)
+      .map(hook => `  ${hook}(() => {
+${this.indentBlock(template[hook].join('\n'), '    ')}
   });
 
-  it('should handle form interactions', () => {
-    // Simplified form interaction test
-    cy.visit('https://www.selenium.dev/selenium/web/web-form.html');
+`).join('');
     
-    cy.get('[name="my-text"]').type('Sample text input');
-    cy.get('[name="my-password"]').type('testPassword123');
-    cy.get('[name="my-select"]').select('Two');
-    cy.get('input[type="checkbox"]').check();
+    const testBlocks = tests.map(test => {
+      const testBody = test.steps.map(step => 
+        // Steps written as comments take no terminator
+        `    // ${step.comment}\n    ${step.action}${step.action.startsWith('//') ? '' : ';'}`
+      ).join('\n\n');
+      // Mocha has no expected failures, so the original failure is noted at the top of the test
+      return `  it(${this.quoteSingle(test.name)}, () => {
+    // This test was automatically migrated from Selenium trace${test.failure ? `\n    // ${test.failure}` : ''}
     
-    // Verify form state
-    cy.get('[name="my-text"]').should('have.value', 'Sample text input');
-    cy.get('[name="my-select"]').should('have.value', '2');
-    cy.get('input[type="checkbox"]').should('be.checked');
-  });
-
-  it('should handle single-origin navigation', () => {
-    // Test navigation within the same origin to avoid cross-origin issues
-    cy.visit('https://www.selenium.dev/selenium/web/web-form.html');
-    cy.get('[name="my-text"]').should('be.visible');
+${testBody}
+  });`;
+    });
     
-    // Verify we're on the correct page
-    cy.url().should('include', 'selenium.dev');
-    cy.title().should('contain', 'Web form');
-  });
+    return `describe(${this.quoteSingle(template.suiteName || 'Migrated Selenium Test')}, () => {
+${hooks}${testBlocks.join('\n\n')}
 });`;
   }
 
-  getFilename(language) {
+  getFilename(language, specName = 'migrated-selenium') {
+    const baseName = (specName.replace(/([a-z0-9])([A-Z])/g, '$1 $2').match(/[A-Za-z0-9]+/g) || ['migrated'])
+      .map(word => word.toLowerCase())
+      .join('-');
     switch (language) {
       case 'typescript':
-        return 'migrated-selenium.cy.ts';
+        return `${baseName}.cy.ts`;
       case 'javascript':
       default:
-        return 'migrated-selenium.cy.js';
+        return `${baseName}.cy.js`;
     }
   }
 }
@@ -0,0 +1,126 @@
+// Members every generated page class defines, which locator names must not shadow
+const RESERVED_NAMES = new Set(['page', 'url', 'goto', 'visit', 'constructor']);
+// Action methods are named after the action and the element, such as clickSubmit, so an element
+// name must not look like one
+const ACTION_METHOD = /^(click|fill|type|clear)[A-Z0-9]/;
+
+function toWords(text) {
+  return (text || '').match(/[A-Za-z0-9]+/g) || [];
+}
+
+function toPascalCase(words) {
+  return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function toCamelCase(words) {
+  const pascal = toPascalCase(words);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+class PageObjectModel {
+  constructor(steps) {
+    this.pages = [];
+    this.pagesByUrl = new Map();
+    this.references = new Map();
+
+    // Group every locator by the page it was used on, known from the preceding navigation
+    steps.forEach(step => {
+      if (!step.locator || !step.pageUrl) return;
+
+      const page = this.getOrCreatePage(step.pageUrl);
+      const element = this.getOrCreateElement(page, step.locator);
+      element.actions.add(step.kind);
+      this.references.set(step, { page, element });
+    });
+  }
+
+  getOrCreatePage(url) {
+    if (this.pagesByUrl.has(url)) {
+      return this.pagesByUrl.get(url);
+    }
+
+    const words = this.getPageWords(url);
+    let className = `${toPascalCase(words)}Page`;
+    let suffix = 2;
+    while (this.pages.some(page => page.className === className)) {
+      className = `${toPascalCase(words)}${suffix++}Page`;
+    }
+
+    const classWords = toWords(className.replace(/([a-z0-9])([A-Z])/g, '$1 $2'));
+    const page = {
+      url,
+      className,
+      variableName: toCamelCase(classWords),
+      fileName: classWords.map(word => word.toLowerCase()).join('-'),
+      elements: [],
+      elementsByKey: new Map()
+    };
+
+    this.pages.push(page);
+    this.pagesByUrl.set(url, page);
+    return page;
+  }
+
+  getPageWords(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      const lastSegment = pathname.split('/').filter(Boolean).pop();
+      if (lastSegment) {
+        return toWords(lastSegment.replace(/\.[a-z]+$/i, ''));
+      }
+      return toWords(hostname.replace(/^www\./, '').split('.')[0]);
+    } catch (e) {
+      return ['app'];
+    }
+  }
+
+  getOrCreateElement(page, locator) {
+    const key = `${locator.strategy}:${locator.value}`;
+    if (page.elementsByKey.has(key)) {
+      return page.elementsByKey.get(key);
+    }
+
+    let baseName = toCamelCase(toWords(locator.value).slice(0, 4)) || 'element';
+    if (/^\d/.test(baseName) || RESERVED_NAMES.has(baseName) || ACTION_METHOD.test(baseName)) {
+      baseName = `${baseName}Element`;
+    }
+
+    let name = baseName;
+    let suffix = 2;
+    while (page.elements.some(element => element.name === name)) {
+      name = `${baseName}${suffix++}`;
+    }
+
+    const element = {
+      name,
+      methodSuffix: toPascalCase([name]),
+      locator,
+      actions: new Set()
+    };
+
+    page.elements.push(element);
+    page.elementsByKey.set(key, element);
+    return element;
+  }
+
+  getReference(step) {
+    return this.references.get(step) || null;
+  }
+
+  getPageForUrl(url) {
+    return this.pagesByUrl.get(url) || null;
+  }
+
+  getPagesForSteps(steps) {
+    // Pages a test touches, in the order the model first saw them
+    const used = new Set();
+    steps.forEach(step => {
+      const reference = this.getReference(step);
+      if (reference) used.add(reference.page);
+      if (step.kind === 'get' && this.getPageForUrl(step.url)) used.add(this.getPageForUrl(step.url));
+    });
+    return this.pages.filter(page => used.has(page));
+  }
+}
+
+module.exports = PageObjectModel;
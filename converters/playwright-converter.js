@@ -1,124 +1,176 @@
-const fs = require('fs-extra');
+const path = require('path');
+const TraceParser = require('./trace-parser');
+const PageObjectModel = require('./page-object-model');
+const TestTemplate = require('./test-template');
+const { mapSteps, mapSource } = require('./step-map');
+const { BROWSER_ENGINES } = require('./browser-matrix');
 
 class PlaywrightConverter {
   constructor() {
-    this.supportedActions = new Set([
-      'get', 'click', 'sendKeys', 'clear', 'getTagName', 
-      'Navigation.refresh', 'Navigation.back', 'Navigation.forward',
-      'Wait.until'
-    ]);
+    this.supportedActions = TraceParser.SUPPORTED_KINDS;
+    this.pageObjectLanguages = new Set(['javascript', 'typescript']);
   }
 
-  async convert(traceFilePath, language = 'javascript') {
-    const traceContent = await fs.readFile(traceFilePath, 'utf8');
-    const lines = traceContent.split('\n').filter(line => line.trim());
+  supportsPageObjects(language) {
+    return this.pageObjectLanguages.has(language);
+  }
+
+  async convert(traceFilePath, language = 'javascript', options = {}) {
+    const trace = await new TraceParser().parseFile(traceFilePath, { onProgress: options.onProgress });
+    const pageObjects = options.pageObjects && this.supportsPageObjects(language)
+      ? new PageObjectModel(trace.steps)
+      : null;
+    const template = (options.template || new TestTemplate()).resolve('playwright', language, {
+      baseUrl: trace.summary.baseUrl,
+      traceFile: options.traceName || path.basename(traceFilePath)
+    });
     
-    const steps = [];
     const stats = {
-      totalActions: 0,
-      convertedActions: 0,
-      skippedActions: 0,
-      actionBreakdown: {}
+      totalActions: trace.summary.totalSteps,
+      convertedActions: trace.summary.supportedSteps,
+      skippedActions: trace.summary.unsupportedSteps,
+      actionBreakdown: trace.summary.actionTypes,
+      // Malformed lines, so a corrupted trace does not pass for a short one
+      malformedLines: trace.summary.validation.invalidLines + trace.summary.validation.unknownEvents,
+      failedSteps: trace.summary.failures.length
     };
     
-    // Actions that are automatically handled by modern frameworks
-    const autoHandledActions = new Set([
-      'findElement', 'findElements', 'ImplicitWait.set', 'Navigation.to'
-    ]);
-    
-    lines.forEach(line => {
-      try {
-        const event = JSON.parse(line);
-        if (event.evt === 'step.ok') {
-          const action = event.kind;
-          stats.actionBreakdown[action] = (stats.actionBreakdown[action] || 0) + 1;
-          
-          // Only count actions that require explicit conversion
-          if (!autoHandledActions.has(action)) {
-            stats.totalActions++;
-          }
-          
-          if (this.supportedActions.has(action)) {
-            const step = this.convertStep(event, language);
-            if (step) {
-              steps.push(step);
-              stats.convertedActions++;
-            }
-          } else if (!autoHandledActions.has(action)) {
-            // Only count as skipped if it's not auto-handled
-            stats.skippedActions++;
-            steps.push({
-              action: this.generateComment(`Unsupported action: ${action}`, language),
-              comment: `Original target: ${event.target || 'N/A'}`
-            });
-          }
-        }
-      } catch (e) {
-        // Skip invalid JSON lines
+    // Each test or parallel session in the trace becomes its own test block
+    const traceTests = trace.tests.filter(test => test.steps.some(step => !step.autoHandled));
+    if (traceTests.length === 0) {
+      traceTests.push({ name: null, steps: [] });
+    }
+    stats.testCount = traceTests.length;
+    
+    const tests = traceTests.map(traceTest => {
+      const steps = this.convertSteps(traceTest.steps, language, pageObjects);
+      const pages = pageObjects ? pageObjects.getPagesForSteps(traceTest.steps) : [];
+      if (pages.length > 0) {
+        steps.unshift({
+          action: pages.map(page => `const ${page.variableName} = new ${page.className}(page);`).join('\n'),
+          comment: 'Page objects for the pages visited in the trace'
+        });
       }
+      return {
+        name: TestTemplate.getTestName(template, traceTest, 'Migrated Selenium Test', traceTests.length),
+        originalName: traceTest.name,
+        failure: traceTest.failure ? this.describeFailure(traceTest.failure) : null,
+        steps
+      };
     });
     
-    const testContent = this.generateTestFile(steps, language);
-    const filename = this.getFilename(language);
+    // Batches keep each trace's page objects apart, since pages with the same name differ per trace
+    const pagesDir = options.pagesDir || 'pages';
+    let imports = '';
+    const files = [];
+    if (pageObjects && pageObjects.pages.length > 0) {
+      imports = this.generatePageObjectImports(pageObjects, language, pagesDir);
+      pageObjects.pages.forEach(page => files.push({
+        filename: `${pagesDir}/${page.fileName}.${language === 'typescript' ? 'ts' : 'js'}`,
+        content: this.generatePageObjectFile(page, language)
+      }));
+    }
+    
+    // Steps of supported kinds that were still written as comments count as skipped
+    const unconverted = tests.reduce((count, test) =>
+      count + test.steps.filter(step => step.unsupported && this.supportedActions.has(step.kind)).length, 0);
+    stats.convertedActions -= unconverted;
+    stats.skippedActions += unconverted;
+    
+    // JavaScript and TypeScript run the matrix as config projects, Python parametrises each test
+    const browsers = options.browsers || trace.summary.browsers;
+    const specNames = this.getSpecNames(options.specName);
+    const testContent = this.generateTestFile(tests, language, imports, template, specNames.className, browsers);
+    const filename = this.getFilename(language, options.specName);
     
     return {
       content: testContent,
       filename,
+      files,
+      baseUrl: trace.summary.baseUrl,
+      browsers,
+      stepMap: mapSteps(testContent, tests, language === 'python' ? '#' : '//'),
+      sourceMap: mapSource(testContent, tests, trace.steps, language === 'python' ? '#' : '//'),
       stats
     };
   }
 
-  extractCleanSelector(target) {
-    if (!target) return '';
+  convertSteps(traceSteps, language, pageObjects) {
+    const steps = [];
     
-    // Handle the format: [[ChromeDriver: ...] -> name: my-text]
-    const cleanLocatorMatch = target.match(/\[\[.*?\] -> (.+?)\]/);
-    if (cleanLocatorMatch) {
-      const locatorPart = cleanLocatorMatch[1];
-      
-      if (locatorPart.startsWith('name: ')) {
-        const name = locatorPart.replace('name: ', '');
-        return `[name="${name}"]`;
+    traceSteps.forEach(traceStep => {
+      // Mark where the original run failed, even when the failing step produces no code
+      if (traceStep.failed) {
+        steps.push({
+          action: this.generateComment(`Original Selenium test failed here: ${traceStep.error}`, language),
+          comment: `${traceStep.kind} failed at trace line ${traceStep.line}`
+        });
       }
       
-      if (locatorPart.startsWith('css selector: ')) {
-        return locatorPart.replace('css selector: ', '');
-      }
-      
-      if (locatorPart.startsWith('xpath: ')) {
-        const xpath = locatorPart.replace('xpath: ', '');
-        return `xpath=${xpath}`;
-      }
-      
-      if (locatorPart.startsWith('tag name: ')) {
-        const tagName = locatorPart.replace('tag name: ', '');
-        return tagName;
-      }
-      
-      if (locatorPart.startsWith('id: ')) {
-        const id = locatorPart.replace('id: ', '');
-        return `#${id}`;
-      }
+      // Lookups and implicit waits are handled by the framework's auto-waiting locators
+      if (traceStep.autoHandled) return;
       
-      if (locatorPart.startsWith('class: ')) {
-        const className = locatorPart.replace('class: ', '');
-        return `.${className}`;
+      if (this.supportedActions.has(traceStep.kind)) {
+        const step = (pageObjects && this.convertPageObjectStep(traceStep, pageObjects))
+          || this.convertStep(traceStep, language);
+        if (step) {
+          // Lets results of the generated test point back at the trace
+          step.traceLine = traceStep.line;
+          step.kind = traceStep.kind;
+          steps.push(step);
+        }
+      } else {
+        steps.push({
+          action: this.generateComment(`Unsupported action: ${traceStep.kind}`, language),
+          comment: `Original target: ${traceStep.target || 'N/A'} (trace line ${traceStep.line})`,
+          traceLine: traceStep.line,
+          kind: traceStep.kind,
+          unsupported: true
+        });
       }
-      
-      return locatorPart;
-    }
+    });
     
-    // Handle URLs
-    if (target.startsWith('http') || target.startsWith('[http')) {
-      return target.replace(/[\[\]]/g, '');
-    }
+    return steps;
+  }
+
+  describeFailure(failure) {
+    return `The original Selenium test failed at trace line ${failure.line} (${failure.kind}): ${failure.error}`;
+  }
+
+  // Quoted for attribute and :text selectors, which read backslash escapes like CSS strings
+  quoteSelectorValue(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  locatorToSelector(locator) {
+    if (!locator) return '';
     
-    return target;
+    const { strategy, value } = locator;
+    switch (strategy) {
+      case 'id':
+        return `#${value}`;
+      case 'name':
+        return `[name=${this.quoteSelectorValue(value)}]`;
+      case 'className':
+        return `.${value}`;
+      case 'xpath':
+        return `xpath=${value}`;
+      case 'linkText':
+        return `a:text-is(${this.quoteSelectorValue(value)})`;
+      case 'partialLinkText':
+        return `a:has-text(${this.quoteSelectorValue(value)})`;
+      case 'cssSelector':
+      case 'tagName':
+      default:
+        return value;
+    }
   }
 
-  convertStep(event, language) {
-    const { kind, target, durationMs } = event;
-    const selector = this.extractCleanSelector(target);
+  convertStep(traceStep, language) {
+    const { kind, durationMs } = traceStep;
+    const selector = traceStep.type === 'navigation'
+      ? traceStep.url || ''
+      : this.locatorToSelector(traceStep.locator);
     
     switch (kind) {
       case 'get':
@@ -149,9 +201,16 @@ class PlaywrightConverter {
         };
         
       case 'sendKeys':
-        const inputValue = this.guessInputValue(selector);
+        if (!traceStep.keys) {
+          return {
+            action: this.generateMissingInput(selector, traceStep.line, language),
+            comment: 'Fill input field (value not recorded in trace)',
+            missingInput: true
+          };
+        }
+        
         return {
-          action: this.generatePageAction('fill', selector, language, inputValue),
+          action: this.generateKeySequence(selector, traceStep.keys, language),
           comment: 'Fill input field'
         };
         
@@ -167,6 +226,28 @@ class PlaywrightConverter {
           comment: 'Verify element is visible'
         };
         
+      case 'Wait.until':
+        if (traceStep.redundant) return null;
+        
+        if (traceStep.locator) {
+          return {
+            action: this.generateExpectation('toBeVisible', selector, language, traceStep.timeoutMs),
+            comment: `Wait for element (WebDriverWait took ${durationMs}ms)`
+          };
+        }
+        
+        if (traceStep.pageUrl) {
+          return {
+            action: this.generateWaitForUrl(traceStep.pageUrl, language, traceStep.timeoutMs),
+            comment: `Wait for page (WebDriverWait took ${durationMs}ms)`
+          };
+        }
+        
+        return {
+          action: this.generatePageAction('waitForLoadState', '', language),
+          comment: `Wait for page load (WebDriverWait took ${durationMs}ms)`
+        };
+        
       case 'Navigation.refresh':
         return {
           action: this.generatePageAction('reload', '', language),
@@ -186,26 +267,202 @@ class PlaywrightConverter {
         };
         
       default:
+        // A kind the parser supports but this converter has no code for is reported like an unsupported one
         return {
-          action: this.generateComment(`TODO: Implement ${kind} action`, language),
-          comment: `Unsupported action: ${kind}`
+          action: this.generateComment(`Unsupported action: ${kind}`, language),
+          comment: `Original target: ${traceStep.target || 'N/A'} (trace line ${traceStep.line})`,
+          unsupported: true
         };
     }
   }
 
+  convertPageObjectStep(traceStep, pageObjects) {
+    const { kind, durationMs } = traceStep;
+    
+    if (kind === 'get') {
+      const page = pageObjects.getPageForUrl(traceStep.url);
+      if (!page) return null;
+      return {
+        action: `await ${page.variableName}.goto();`,
+        comment: `Navigate to ${traceStep.url}`
+      };
+    }
+    
+    // Steps without a page object reference fall back to inline selectors
+    const reference = pageObjects.getReference(traceStep);
+    if (!reference) return null;
+    
+    const { page, element } = reference;
+    const locator = `${page.variableName}.${element.name}`;
+    
+    switch (kind) {
+      case 'click':
+        return {
+          action: `await ${page.variableName}.click${element.methodSuffix}();`,
+          comment: `Click element (${durationMs}ms)`
+        };
+        
+      case 'sendKeys':
+        if (!traceStep.keys) return null;
+        if (traceStep.keys.length === 0) {
+          return {
+            action: `await ${page.variableName}.clear${element.methodSuffix}();`,
+            comment: 'Fill input field'
+          };
+        }
+        
+        return {
+          action: traceStep.keys.map((part, index) => {
+            if (part.key) return `await ${locator}.press("${part.key}");`;
+            if (index === 0) return `await ${page.variableName}.fill${element.methodSuffix}("${this.escapeString(part.text)}");`;
+            return `await ${locator}.pressSequentially("${this.escapeString(part.text)}");`;
+          }).join('\n'),
+          comment: 'Fill input field'
+        };
+        
+      case 'clear':
+        return {
+          action: `await ${page.variableName}.clear${element.methodSuffix}();`,
+          comment: 'Clear input field'
+        };
+        
+      case 'getTagName':
+        return {
+          action: `await expect(${locator}).toBeVisible();`,
+          comment: 'Verify element is visible'
+        };
+        
+      case 'Wait.until':
+        if (traceStep.redundant) return null;
+        return {
+          action: `await expect(${locator}).toBeVisible(${traceStep.timeoutMs ? `{ timeout: ${traceStep.timeoutMs} }` : ''});`,
+          comment: `Wait for element (WebDriverWait took ${durationMs}ms)`
+        };
+        
+      default:
+        return null;
+    }
+  }
+
+  generatePageObjectImports(pageObjects, language, pagesDir = 'pages') {
+    return pageObjects.pages.map(page => language === 'typescript'
+      ? `import { ${page.className} } from './${pagesDir}/${page.fileName}';`
+      : `const { ${page.className} } = require('./${pagesDir}/${page.fileName}');`
+    ).join('\n');
+  }
+
+  generatePageObjectFile(page, language) {
+    const typescript = language === 'typescript';
+    const members = [];
+    
+    page.elements.forEach(element => {
+      const selector = this.escapeString(this.locatorToSelector(element.locator));
+      members.push(`    get ${element.name}()${typescript ? ': Locator' : ''} {
+        return this.page.locator("${selector}");
+    }`);
+      
+      if (element.actions.has('click')) {
+        members.push(`    async click${element.methodSuffix}()${typescript ? ': Promise<void>' : ''} {
+        await this.${element.name}.click();
+    }`);
+      }
+      if (element.actions.has('sendKeys')) {
+        members.push(`    async fill${element.methodSuffix}(value${typescript ? ': string' : ''})${typescript ? ': Promise<void>' : ''} {
+        await this.${element.name}.fill(value);
+    }`);
+      }
+      if (element.actions.has('sendKeys') || element.actions.has('clear')) {
+        members.push(`    async clear${element.methodSuffix}()${typescript ? ': Promise<void>' : ''} {
+        await this.${element.name}.clear();
+    }`);
+      }
+    });
+    
+    const url = this.escapeString(page.url);
+    const body = members.join('\n\n');
+    
+    if (typescript) {
+      return `import { Page, Locator } from '@playwright/test';
+
+// Page object for ${page.url}
+export class ${page.className} {
+    readonly url = "${url}";
+
+    constructor(readonly page: Page) {}
+
+    async goto(): Promise<void> {
+        await this.page.goto(this.url);
+    }
+
+${body}
+}
+`;
+    }
+    
+    return `// Page object for ${page.url}
+class ${page.className} {
+    constructor(page) {
+        this.page = page;
+        this.url = "${url}";
+    }
+
+    async goto() {
+        await this.page.goto(this.url);
+    }
+
+${body}
+}
+
+module.exports = { ${page.className} };
+`;
+  }
+
+  escapeString(value) {
+    // Double-quoted string literals escape the same way in JavaScript, Python, Java and C#
+    return value ? value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') : '';
+  }
+
   generatePageAction(action, selector, language, value = null) {
     // Always use double quotes for selectors to avoid escaping issues with single quotes in CSS selectors
-    const escapedSelector = selector ? selector.replace(/"/g, '\\"') : '';
-    const escapedValue = value ? value.replace(/"/g, '\\"') : '';
+    const escapedSelector = this.escapeString(selector);
+    const escapedValue = this.escapeString(value);
     
     switch (language) {
       case 'python':
         if (action === 'goto') return `await page.goto("${escapedSelector}")`;
         if (action === 'click') return `await page.click("${escapedSelector}")`;
         if (action === 'fill') return `await page.fill("${escapedSelector}", "${escapedValue}")`;
+        if (action === 'type') return `await page.locator("${escapedSelector}").press_sequentially("${escapedValue}")`;
+        if (action === 'press') return `await page.press("${escapedSelector}", "${escapedValue}")`;
         if (action === 'reload') return `await page.reload()`;
         if (action === 'goBack') return `await page.go_back()`;
         if (action === 'goForward') return `await page.go_forward()`;
+        if (action === 'waitForLoadState') return `await page.wait_for_load_state()`;
+        break;
+        
+      case 'java':
+        if (action === 'goto') return `page.navigate("${escapedSelector}");`;
+        if (action === 'click') return `page.click("${escapedSelector}");`;
+        if (action === 'fill') return `page.fill("${escapedSelector}", "${escapedValue}");`;
+        if (action === 'type') return `page.locator("${escapedSelector}").pressSequentially("${escapedValue}");`;
+        if (action === 'press') return `page.press("${escapedSelector}", "${escapedValue}");`;
+        if (action === 'reload') return `page.reload();`;
+        if (action === 'goBack') return `page.goBack();`;
+        if (action === 'goForward') return `page.goForward();`;
+        if (action === 'waitForLoadState') return `page.waitForLoadState();`;
+        break;
+        
+      case 'csharp':
+      case 'csharp-mstest':
+        if (action === 'goto') return `await Page.GotoAsync("${escapedSelector}");`;
+        if (action === 'click') return `await Page.ClickAsync("${escapedSelector}");`;
+        if (action === 'fill') return `await Page.FillAsync("${escapedSelector}", "${escapedValue}");`;
+        if (action === 'type') return `await Page.Locator("${escapedSelector}").PressSequentiallyAsync("${escapedValue}");`;
+        if (action === 'press') return `await Page.PressAsync("${escapedSelector}", "${escapedValue}");`;
+        if (action === 'reload') return `await Page.ReloadAsync();`;
+        if (action === 'goBack') return `await Page.GoBackAsync();`;
+        if (action === 'goForward') return `await Page.GoForwardAsync();`;
+        if (action === 'waitForLoadState') return `await Page.WaitForLoadStateAsync();`;
         break;
         
       case 'typescript':
@@ -214,24 +471,78 @@ class PlaywrightConverter {
         if (action === 'goto') return `await page.goto("${escapedSelector}");`;
         if (action === 'click') return `await page.click("${escapedSelector}");`;
         if (action === 'fill') return `await page.fill("${escapedSelector}", "${escapedValue}");`;
+        if (action === 'type') return `await page.locator("${escapedSelector}").pressSequentially("${escapedValue}");`;
+        if (action === 'press') return `await page.press("${escapedSelector}", "${escapedValue}");`;
         if (action === 'reload') return `await page.reload();`;
         if (action === 'goBack') return `await page.goBack();`;
         if (action === 'goForward') return `await page.goForward();`;
+        if (action === 'waitForLoadState') return `await page.waitForLoadState();`;
     }
     return '';
   }
 
+  generateKeySequence(selector, keys, language) {
+    if (keys.length === 0) {
+      return this.generatePageAction('fill', selector, language, '');
+    }
+    
+    // Selenium appends keys, so only the leading text can use fill()
+    return keys.map((part, index) => {
+      if (part.key) return this.generatePageAction('press', selector, language, part.key);
+      return this.generatePageAction(index === 0 ? 'fill' : 'type', selector, language, part.text);
+    }).join('\n');
+  }
+
+  // Whether a test that failed in Selenium is marked as expected to fail. A missing input value
+  // would satisfy the expectation and hide the placeholder that is meant to fail loudly, so such
+  // tests only keep the failure as a comment
+  expectsFailure(test) {
+    return Boolean(test.failure) && !test.steps.some(step => step.missingInput);
+  }
+
+  generateMissingInput(selector, line, language) {
+    const message = `Missing input value for ${selector} (trace line ${line}): the trace did not record the keys sent`;
+    const escapedMessage = this.escapeString(message);
+    
+    switch (language) {
+      case 'python':
+        return `raise NotImplementedError("${escapedMessage}")`;
+        
+      case 'java':
+        // fail() rather than throw, since javac rejects the unreachable statements after a throw
+        return `fail("${escapedMessage}");`;
+        
+      case 'csharp':
+      case 'csharp-mstest':
+        return `Assert.Fail("${escapedMessage}");`;
+        
+      case 'typescript':
+      case 'javascript':
+      default:
+        return `throw new Error("${escapedMessage}");`;
+    }
+  }
+
   generateSelectOption(selector, option, language) {
     // Always use double quotes for selectors to avoid escaping issues
-    const escapedSelector = selector ? selector.replace(/"/g, '\\"') : '';
-    const escapedLabel = option.label ? option.label.replace(/"/g, '\\"') : '';
-    const escapedValue = (option.value || option) ? (option.value || option).replace(/"/g, '\\"') : '';
+    const escapedSelector = this.escapeString(selector);
+    const escapedLabel = this.escapeString(option.label);
+    const escapedValue = this.escapeString(option.value || (typeof option === 'string' ? option : ''));
     
     switch (language) {
       case 'python':
         if (option.label) return `await page.select_option("${escapedSelector}", label="${escapedLabel}")`;
         return `await page.select_option("${escapedSelector}", "${escapedValue}")`;
         
+      case 'java':
+        if (option.label) return `page.selectOption("${escapedSelector}", new SelectOption().setLabel("${escapedLabel}"));`;
+        return `page.selectOption("${escapedSelector}", "${escapedValue}");`;
+        
+      case 'csharp':
+      case 'csharp-mstest':
+        if (option.label) return `await Page.SelectOptionAsync("${escapedSelector}", new SelectOptionValue { Label = "${escapedLabel}" });`;
+        return `await Page.SelectOptionAsync("${escapedSelector}", "${escapedValue}");`;
+        
       case 'typescript':
       case 'javascript':
       default:
@@ -240,18 +551,55 @@ class PlaywrightConverter {
     }
   }
 
-  generateExpectation(assertion, selector, language) {
+  generateExpectation(assertion, selector, language, timeoutMs = null) {
     // Always use double quotes for selectors to avoid escaping issues
-    const escapedSelector = selector ? selector.replace(/"/g, '\\"') : '';
+    const escapedSelector = this.escapeString(selector);
     
     switch (language) {
       case 'python':
-        return `expect(page.locator("${escapedSelector}")).${assertion.replace('to', 'to_')}()`;
+        const pythonAssertion = assertion.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+        const pythonOptions = timeoutMs ? `timeout=${timeoutMs}` : '';
+        return `await expect(page.locator("${escapedSelector}")).${pythonAssertion}(${pythonOptions})`;
+        
+      case 'java':
+        // toBeVisible -> isVisible, with IsVisibleOptions for the timeout
+        const javaAssertion = assertion.replace(/^toBe/, 'is').replace(/^toHave/, 'has');
+        const optionsClass = javaAssertion.charAt(0).toUpperCase() + javaAssertion.slice(1);
+        const javaOptions = timeoutMs ? `new LocatorAssertions.${optionsClass}Options().setTimeout(${timeoutMs})` : '';
+        return `assertThat(page.locator("${escapedSelector}")).${javaAssertion}(${javaOptions});`;
+        
+      case 'csharp':
+      case 'csharp-mstest':
+        const csharpAssertion = `${assertion.charAt(0).toUpperCase()}${assertion.slice(1)}Async`;
+        const csharpOptions = timeoutMs ? `new() { Timeout = ${timeoutMs} }` : '';
+        return `await Expect(Page.Locator("${escapedSelector}")).${csharpAssertion}(${csharpOptions});`;
         
       case 'typescript':
       case 'javascript':
       default:
-        return `await expect(page.locator("${escapedSelector}")).${assertion}();`;
+        const options = timeoutMs ? `{ timeout: ${timeoutMs} }` : '';
+        return `await expect(page.locator("${escapedSelector}")).${assertion}(${options});`;
+    }
+  }
+
+  generateWaitForUrl(url, language, timeoutMs = null) {
+    const escapedUrl = this.escapeString(url);
+    
+    switch (language) {
+      case 'python':
+        return `await page.wait_for_url("${escapedUrl}"${timeoutMs ? `, timeout=${timeoutMs}` : ''})`;
+        
+      case 'java':
+        return `page.waitForURL("${escapedUrl}"${timeoutMs ? `, new Page.WaitForURLOptions().setTimeout(${timeoutMs})` : ''});`;
+        
+      case 'csharp':
+      case 'csharp-mstest':
+        return `await Page.WaitForURLAsync("${escapedUrl}"${timeoutMs ? `, new() { Timeout = ${timeoutMs} }` : ''});`;
+        
+      case 'typescript':
+      case 'javascript':
+      default:
+        return `await page.waitForURL("${escapedUrl}"${timeoutMs ? `, { timeout: ${timeoutMs} }` : ''});`;
     }
   }
 
@@ -259,6 +607,9 @@ class PlaywrightConverter {
     switch (language) {
       case 'python':
         return `# ${text}`;
+      case 'java':
+      case 'csharp':
+      case 'csharp-mstest':
       case 'typescript':
       case 'javascript':
       default:
@@ -266,150 +617,339 @@ class PlaywrightConverter {
     }
   }
 
-  guessInputValue(selector) {
-    if (selector.includes('password')) return 'testPassword123';
-    if (selector.includes('email')) return 'test@example.com';
-    if (selector.includes('text')) return 'Sample text input';
-    if (selector.includes('textarea')) return 'This is sample textarea content';
-    if (selector.includes('name')) return 'John Doe';
-    return 'test-value';
+  formatTestBody(steps, indent, commentPrefix = '//') {
+    // Actions may span several lines (e.g. fill followed by press), so indent each one
+    return steps.map(step => {
+      const action = step.action.split('\n').map(line => `${indent}${line}`).join('\n');
+      return `${indent}${commentPrefix} ${step.comment}\n${action}`;
+    }).join('\n\n');
   }
 
-  generateTestFile(steps, language) {
+  generateTestFile(tests, language, extraImports = '', template, className = 'MigratedSeleniumTest', browsers = ['chromium']) {
     switch (language) {
       case 'python':
-        return this.generatePythonTest(steps);
+        return this.generatePythonTest(tests, template, browsers);
+      case 'java':
+        return this.generateJavaTest(tests, template, className);
+      case 'csharp':
+        return this.generateCSharpTest(tests, 'nunit', template, className);
+      case 'csharp-mstest':
+        return this.generateCSharpTest(tests, 'mstest', template, className);
       case 'typescript':
-        return this.generateTypeScriptTest(steps);
+        return this.generateTypeScriptTest(tests, extraImports, template);
       case 'javascript':
       default:
-        return this.generateJavaScriptTest(steps);
+        return this.generateJavaScriptTest(tests, extraImports, template);
     }
   }
 
-  generateJavaScriptTest(steps) {
-    const imports = `const { test, expect } = require('@playwright/test');`;
-    
-    const testBody = steps.map(step => 
-      `    // ${step.comment}\n    ${step.action}`
-    ).join('\n\n');
-    
-    return `${imports}
+  applyTemplate(content, template) {
+    const header = template.header ? `${template.header}\n\n` : '';
+    const footer = template.footer ? `\n${template.footer}\n` : '';
+    return `${header}${content}${footer}`;
+  }
 
-test('Migrated Selenium Test', async ({ page }) => {
-    // This test was automatically migrated from Selenium trace
-    
-${testBody}
-    
-    // Add final verification
-    await expect(page).toHaveURL(/.+/);
-});
+  indentBlock(text, indent) {
+    return text.split('\n').map(line => line ? `${indent}${line}` : line).join('\n');
+  }
 
-test.describe('Additional Test Scenarios', () => {
-    test('Form Interaction Test', async ({ page }) => {
-        // Simplified form interaction test
-        await page.goto('https://www.selenium.dev/selenium/web/web-form.html');
-        
-        await page.fill('[name="my-text"]', 'Sample text input');
-        await page.fill('[name="my-password"]', 'testPassword123');
-        await page.selectOption('[name="my-select"]', { label: 'Two' });
-        await page.check('input[type="checkbox"]');
-        
-        await expect(page.locator('[name="my-text"]')).toHaveValue('Sample text input');
-        await expect(page.locator('input[type="checkbox"]')).toBeChecked();
+  quoteSingle(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  toIdentifiers(names, style) {
+    const used = new Set();
+    return names.map(name => {
+      // Qualified test ids such as com.example.LoginTest.testLogin are named after their last segment
+      const base = /\s/.test(name) ? name : (name.split(/[.#/:]/).filter(Boolean).pop() || name);
+      const words = base.replace(/([a-z0-9])([A-Z])/g, '$1 $2').match(/[A-Za-z0-9]+/g) || ['migrated'];
+      const pascal = words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+      
+      let identifier;
+      if (style === 'snake') {
+        // Snake case names are pytest functions, which get their own test_ prefix
+        identifier = words.map(word => word.toLowerCase()).join('_').replace(/^test_/, '');
+      } else if (style === 'pascal') {
+        identifier = /^\d/.test(pascal) ? `Test${pascal}` : pascal;
+      } else {
+        identifier = /^\d/.test(pascal) ? `test${pascal}` : pascal.charAt(0).toLowerCase() + pascal.slice(1);
+      }
+      
+      let unique = identifier;
+      let suffix = 2;
+      while (used.has(unique)) {
+        unique = `${identifier}${style === 'snake' ? '_' : ''}${suffix++}`;
+      }
+      used.add(unique);
+      return unique;
     });
-});`;
   }
 
-  generateTypeScriptTest(steps) {
-    const imports = `import { test, expect } from '@playwright/test';`;
+  generateJavaScriptTest(tests, extraImports = '', template) {
+    const imports = [`const { test, expect } = require('@playwright/test');`, extraImports].filter(Boolean).join('\n');
     
-    const testBody = steps.map(step => 
-      `    // ${step.comment}\n    ${step.action}`
-    ).join('\n\n');
+    return this.applyTemplate(`${imports}
+
+${this.generatePlaywrightSuite(tests, template)}
+`, template);
+  }
+
+  generateTypeScriptTest(tests, extraImports = '', template) {
+    const imports = [`import { test, expect } from '@playwright/test';`, extraImports].filter(Boolean).join('\n');
     
-    return `${imports}
+    return this.applyTemplate(`${imports}
 
-test('Migrated Selenium Test', async ({ page }) => {
-    // This test was automatically migrated from Selenium trace
+${this.generatePlaywrightSuite(tests, template)}
+`, template);
+  }
+
+  generatePlaywrightSuite(tests, template) {
+    const hooks = ['beforeEach', 'afterEach']
+      .filter(hook => template[hook].length > 0)
+      .map(hook => `test.${hook}(async ({ page }) => {
+${this.indentBlock(template[hook].join('\n'), '    ')}
+});
+
+`).join('');
     
-${testBody}
+    // Tests that failed in Selenium are expected to fail until the cause is fixed
+    const testBlocks = tests.map(test => `test(${this.quoteSingle(test.name)}, async ({ page }) => {
+    // This test was automatically migrated from Selenium trace
+    ${this.expectsFailure(test) ? `test.fail(true, ${this.quoteSingle(test.failure)});
+    ` : ''}${test.failure && !this.expectsFailure(test) ? `// ${test.failure}
+    ` : ''}
+${this.formatTestBody(test.steps, '    ')}
     
     // Add final verification
     await expect(page).toHaveURL(/.+/);
-});
-
-test.describe('Additional Test Scenarios', () => {
-    test('Form Interaction Test', async ({ page }) => {
-        // Simplified form interaction test
-        await page.goto('https://www.selenium.dev/selenium/web/web-form.html');
-        
-        await page.fill('[name="my-text"]', 'Sample text input');
-        await page.fill('[name="my-password"]', 'testPassword123');
-        await page.selectOption('[name="my-select"]', { label: 'Two' });
-        await page.check('input[type="checkbox"]');
-        
-        await expect(page.locator('[name="my-text"]')).toHaveValue('Sample text input');
-        await expect(page.locator('input[type="checkbox"]')).toBeChecked();
-    });
+});`);
+    const suite = `${hooks}${testBlocks.join('\n\n')}`;
+    
+    if (!template.suiteName) return suite;
+    return `test.describe(${this.quoteSingle(template.suiteName)}, () => {
+${this.indentBlock(suite, '    ')}
 });`;
   }
 
-  generatePythonTest(steps) {
-    const imports = `import pytest
+  generatePythonTest(tests, template, browsers = ['chromium']) {
+    const imports = `import os
+import re
+import pytest
 from playwright.async_api import async_playwright, expect`;
     
-    const testBody = steps.map(step => 
-      `    # ${step.comment}\n    ${step.action}`
-    ).join('\n\n');
-    
-    return `${imports}
+    // A matrix beyond plain Chromium runs each test once per browser or emulated device
+    const matrix = browsers.length > 1 || browsers[0] !== 'chromium';
+    const engines = BROWSER_ENGINES.map(engine => `"${engine}"`).join(', ');
+    // The tests launch their own browsers, so they follow pytest-playwright's --headed and the runner's HEADLESS
+    const headlessHelper = `def is_headless(pytestconfig):
+    """Headless unless --headed or HEADLESS=false asks for a browser window"""
+    return not pytestconfig.getoption("headed", False) and os.environ.get("HEADLESS") != "false"
+
+
+`;
+    const launchHelper = matrix ? `# Browsers and devices from the conversion's browser matrix
+BROWSERS = [${browsers.map(browser => `"${browser}"`).join(', ')}]
+
 
-@pytest.mark.asyncio
-async def test_migrated_selenium_test():
-    """This test was automatically migrated from Selenium trace"""
-    async with async_playwright() as p:
-        browser = await p.chromium.launch()
-        page = await browser.new_page()
+async def launch(p, target, headless):
+    """Launches a browser engine, or the engine of a Playwright device with its emulation"""
+    if target in (${engines}):
+        browser = await getattr(p, target).launch(headless=headless)
+        return browser, await browser.new_page()
+    device = dict(p.devices[target])
+    browser = await getattr(p, device.pop("default_browser_type")).launch(headless=headless)
+    return browser, await browser.new_page(**device)
+
+
+` : '';
+    
+    const functionNames = this.toIdentifiers(tests.map(test => test.name), 'snake');
+    // pytest has no per-test hooks without fixtures, so hook lines run inline around the body
+    const beforeEach = template.beforeEach.length > 0
+      ? `${this.indentBlock(template.beforeEach.join('\n'), '        ')}\n        \n`
+      : '';
+    const afterEach = template.afterEach.length > 0
+      ? `${this.indentBlock(template.afterEach.join('\n'), '        ')}\n        \n`
+      : '';
+    
+    const testFunctions = tests.map((test, index) => `${this.expectsFailure(test) ? `@pytest.mark.xfail(reason="${this.escapeString(test.failure)}")
+` : ''}${matrix ? '@pytest.mark.parametrize("target", BROWSERS)\n' : ''}@pytest.mark.asyncio
+async def test_${functionNames[index]}(${matrix ? 'target, ' : ''}pytestconfig):
+    """${test.originalName ? `Migrated from ${this.escapeString(test.originalName)}` : 'This test was automatically migrated from Selenium trace'}"""
+${test.failure && !this.expectsFailure(test) ? `    # ${test.failure}\n` : ''}    async with async_playwright() as p:
+${matrix ? `        browser, page = await launch(p, target, is_headless(pytestconfig))` : `        browser = await p.chromium.launch(headless=is_headless(pytestconfig))
+        page = await browser.new_page()`}
         
-${testBody}
+${beforeEach}${this.formatTestBody(test.steps, '        ', '#')}
         
         # Add final verification
         await expect(page).to_have_url(re.compile(r".+"))
         
-        await browser.close()
+${afterEach}        await browser.close()
+`);
+    
+    return this.applyTemplate(`${imports}
 
-@pytest.mark.asyncio
-async def test_form_interaction():
-    """Simplified form interaction test"""
-    async with async_playwright() as p:
-        browser = await p.chromium.launch()
-        page = await browser.new_page()
-        
-        await page.goto("https://www.selenium.dev/selenium/web/web-form.html")
-        
-        await page.fill('[name="my-text"]', "Sample text input")
-        await page.fill('[name="my-password"]', "testPassword123")
-        await page.select_option('[name="my-select"]', label="Two")
-        await page.check('input[type="checkbox"]')
-        
-        await expect(page.locator('[name="my-text"]')).to_have_value("Sample text input")
-        await expect(page.locator('input[type="checkbox"]')).to_be_checked()
-        
-        await browser.close()`;
+${headlessHelper}${launchHelper}${testFunctions.join('\n\n')}`, template);
+  }
+
+  generateJavaTest(tests, template, className = 'MigratedSeleniumTest') {
+    const methodNames = this.toIdentifiers(tests.map(test => test.name), 'camel');
+    const testMethods = tests.map((test, index) => {
+      const displayName = test.name !== 'Migrated Selenium Test' ? `    @DisplayName("${this.escapeString(test.name)}")\n` : '';
+      // JUnit has no expected failures, so tag the test to let runs include or exclude it
+      const failureTag = test.failure ? '    @Tag("failed-in-selenium")\n' : '';
+      return `${displayName}${failureTag}    @Test
+    void ${methodNames[index]}() {
+        // This test was automatically migrated from Selenium trace${test.failure ? `\n        // ${test.failure}` : ''}
+
+${this.formatTestBody(test.steps, '        ')}
+
+        // Add final verification
+        assertThat(page).hasURL(Pattern.compile(".+"));
+    }`;
+    });
+    const beforeEach = template.beforeEach.length > 0
+      ? `\n${this.indentBlock(template.beforeEach.join('\n'), '        ')}`
+      : '';
+    const afterEach = template.afterEach.length > 0
+      ? `${this.indentBlock(template.afterEach.join('\n'), '        ')}\n`
+      : '';
+    const classDisplayName = template.suiteName ? `@DisplayName("${this.escapeString(template.suiteName)}")\n` : '';
+    
+    return this.applyTemplate(`import com.microsoft.playwright.*;
+import com.microsoft.playwright.assertions.LocatorAssertions;
+import com.microsoft.playwright.options.*;
+import org.junit.jupiter.api.*;
+
+import java.util.regex.Pattern;
+
+import static com.microsoft.playwright.assertions.PlaywrightAssertions.assertThat;
+import static org.junit.jupiter.api.Assertions.fail;
+
+${classDisplayName}public class ${className} {
+    static Playwright playwright;
+    static Browser browser;
+
+    BrowserContext context;
+    Page page;
+
+    @BeforeAll
+    static void launchBrowser() {
+        playwright = Playwright.create();
+        // -Dheadless=false works in every shell; the runner sets HEADLESS
+        boolean headless = !"false".equals(System.getProperty("headless", System.getenv("HEADLESS")));
+        browser = playwright.chromium().launch(new BrowserType.LaunchOptions().setHeadless(headless));
+    }
+
+    @AfterAll
+    static void closeBrowser() {
+        playwright.close();
+    }
+
+    @BeforeEach
+    void createContextAndPage() {
+        context = browser.newContext();
+        page = context.newPage();${beforeEach}
+    }
+
+    @AfterEach
+    void closeContext() {
+${afterEach}        context.close();
+    }
+
+${testMethods.join('\n\n')}
+}
+`, template);
+  }
+
+  generateCSharpTest(tests, testRunner, template, className = 'MigratedSeleniumTest') {
+    const isMSTest = testRunner === 'mstest';
+    // PageTest creates Page in its own setup, which runs before these
+    const hookAttributes = isMSTest
+      ? { beforeEach: '[TestInitialize]', afterEach: '[TestCleanup]' }
+      : { beforeEach: '[SetUp]', afterEach: '[TearDown]' };
+    const hooks = ['beforeEach', 'afterEach']
+      .filter(hook => template[hook].length > 0)
+      .map(hook => `    ${hookAttributes[hook]}
+    public async Task ${hook.charAt(0).toUpperCase()}${hook.slice(1)}Async()
+    {
+${this.indentBlock(template[hook].join('\n'), '        ')}
+    }
+
+`).join('');
+    const methodNames = this.toIdentifiers(tests.map(test => test.name), 'pascal');
+    
+    const usings = isMSTest
+      ? `using Microsoft.Playwright.MSTest;
+using Microsoft.VisualStudio.TestTools.UnitTesting;`
+      : `using Microsoft.Playwright.NUnit;
+using NUnit.Framework;`;
+    const classAttributes = isMSTest
+      ? '[TestClass]'
+      : `[Parallelizable(ParallelScope.Self)]
+[TestFixture]`;
+    const testAttribute = isMSTest ? '[TestMethod]' : '[Test]';
+    const testMethods = tests.map((test, index) => {
+      const description = test.name !== 'Migrated Selenium Test' ? `    [Description("${this.escapeString(test.name)}")]\n` : '';
+      const failureCategory = test.failure
+        ? `    [${isMSTest ? 'TestCategory' : 'Category'}("failed-in-selenium")]\n`
+        : '';
+      return `${description}${failureCategory}    ${testAttribute}
+    public async Task ${methodNames[index]}Async()
+    {
+        // This test was automatically migrated from Selenium trace${test.failure ? `\n        // ${test.failure}` : ''}
+
+${this.formatTestBody(test.steps, '        ')}
+
+        // Add final verification
+        await Expect(Page).ToHaveURLAsync(new Regex(".+"));
+    }`;
+    });
+    
+    return this.applyTemplate(`using System.Text.RegularExpressions;
+using Microsoft.Playwright;
+${usings}
+
+namespace MigratedSeleniumTests;
+
+${classAttributes}
+public class ${className} : PageTest
+{
+${hooks}${testMethods.join('\n\n')}
+}
+`, template);
+  }
+
+  getSpecNames(specName = 'migrated-selenium') {
+    const words = specName.replace(/([a-z0-9])([A-Z])/g, '$1 $2').match(/[A-Za-z0-9]+/g) || ['migrated'];
+    const pascal = words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+    return {
+      kebab: words.map(word => word.toLowerCase()).join('-'),
+      snake: words.map(word => word.toLowerCase()).join('_'),
+      // Java and C# class names cannot start with a digit
+      className: `${/^\d/.test(pascal) ? 'Spec' : ''}${pascal}Test`
+    };
   }
 
-  getFilename(language) {
+  getFilename(language, specName) {
+    const names = this.getSpecNames(specName);
     switch (language) {
       case 'python':
-        return 'test_migrated_selenium.py';
+        return `test_${names.snake}.py`;
+      case 'java':
+        // Java requires the file name to match the public class
+        return `${names.className}.java`;
+      case 'csharp':
+      case 'csharp-mstest':
+        return `${names.className}.cs`;
       case 'typescript':
-        return 'migrated-selenium.spec.ts';
+        return `${names.kebab}.spec.ts`;
       case 'javascript':
       default:
-        return 'migrated-selenium.spec.js';
+        return `${names.kebab}.spec.js`;
     }
   }
 }
 
-module.exports = PlaywrightConverter;
\ No newline at end of file
+module.exports = PlaywrightConverter;
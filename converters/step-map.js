@@ -0,0 +1,192 @@
+const { AUTO_HANDLED_REASONS } = require('./trace-parser');
+
+// Largest changed region, in line pairs compared, that edits are diffed line by line in
+const MAX_DIFF_CELLS = 4000000;
+
+// Generated lines of the steps of each test that include() selects, as 1-based ranges. Steps are
+// found by the comment line every step is written with, so template code and headers around them
+// do not shift the mapping
+function locateSteps(content, tests, commentPrefix, include) {
+  const lines = content.split('\n');
+  let cursor = 0;
+
+  return tests.map(test => ({
+    name: test.name,
+    steps: test.steps.filter(include).flatMap(step => {
+      const comment = `${commentPrefix} ${step.comment}`;
+      const actionLines = step.action.split('\n');
+      for (let index = cursor; index + actionLines.length < lines.length; index++) {
+        if (lines[index].trim() === comment && lines[index + 1].trim().startsWith(actionLines[0].trim())) {
+          cursor = index + 1 + actionLines.length;
+          return [{ step, startLine: index + 2, endLine: index + 1 + actionLines.length }];
+        }
+      }
+      return [];
+    })
+  }));
+}
+
+// Where each converted trace step ended up in the generated file, per test
+function mapSteps(content, tests, commentPrefix = '//') {
+  return locateSteps(content, tests, commentPrefix, step => step.traceLine && !step.unsupported)
+    .map(test => ({
+      name: test.name,
+      steps: test.steps.map(({ step, startLine, endLine }) => ({
+        traceLine: step.traceLine,
+        kind: step.kind,
+        startLine,
+        endLine
+      }))
+    }));
+}
+
+// Every step of the trace in trace order, with the generated lines it became or the reason it
+// became none: converted, unsupported (written as a comment), auto-handled or skipped
+function mapSource(content, tests, traceSteps, commentPrefix = '//') {
+  const located = new Map();
+  locateSteps(content, tests, commentPrefix, step => step.traceLine).forEach(test =>
+    test.steps.forEach(entry => located.set(entry.step.traceLine, entry)));
+
+  return traceSteps.map(traceStep => {
+    const entry = located.get(traceStep.line);
+    let status = 'skipped';
+    let reason = 'Produced no code';
+    if (entry) {
+      status = entry.step.unsupported ? 'unsupported' : 'converted';
+      // Converters give their own reason where the kind is supported but this step could not be
+      reason = entry.step.unsupported
+        ? entry.step.reason || `No equivalent for ${traceStep.kind}; left as a comment`
+        : null;
+    } else if (traceStep.autoHandled) {
+      status = 'auto-handled';
+      reason = AUTO_HANDLED_REASONS[traceStep.kind] || 'Handled by the framework';
+    } else if (traceStep.redundant) {
+      reason = 'Repeats the wait recorded inside it';
+    }
+    return {
+      traceLine: traceStep.line,
+      kind: traceStep.kind,
+      target: traceStep.locator
+        ? `${traceStep.locator.strategy}: ${traceStep.locator.value}`
+        : traceStep.url || traceStep.target,
+      status,
+      reason,
+      failed: traceStep.failed,
+      startLine: entry ? entry.startLine : null,
+      endLine: entry ? entry.endLine : null
+    };
+  });
+}
+
+// Pairs [i, j] of equal lines of a and b, in order, forming a longest common subsequence
+function commonLines(a, b) {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// Where each 1-based line of a file moved to in an edited version of it, or null for a line
+// that was removed. A changed line counts as moved when as many lines replaced its block, so a
+// fixed selector keeps its step
+function mapEditedLines(previous, next) {
+  const a = previous.split('\n');
+  const b = next.split('\n');
+  const mapping = new Array(a.length + 1).fill(null);
+
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) {
+    mapping[head + 1] = head + 1;
+    head++;
+  }
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) {
+    mapping[a.length - tail] = b.length - tail;
+    tail++;
+  }
+
+  const changedA = a.slice(head, a.length - tail);
+  const changedB = b.slice(head, b.length - tail);
+  const pairs = changedA.length * changedB.length <= MAX_DIFF_CELLS ? commonLines(changedA, changedB) : [];
+  let nextA = 0;
+  let nextB = 0;
+  pairs.concat([[changedA.length, changedB.length]]).forEach(([i, j]) => {
+    if (i - nextA === j - nextB) {
+      for (let offset = 0; offset < i - nextA; offset++) {
+        mapping[head + nextA + offset + 1] = head + nextB + offset + 1;
+      }
+    }
+    if (i < changedA.length) {
+      mapping[head + i + 1] = head + j + 1;
+    }
+    nextA = i + 1;
+    nextB = j + 1;
+  });
+
+  return line => mapping[line] || null;
+}
+
+// Line range of a step in the edited file, or null when the edit removed its lines
+function remapRange(startLine, endLine, mapLine) {
+  const start = startLine && mapLine(startLine);
+  const end = endLine && mapLine(endLine);
+  return start && end && end >= start ? { startLine: start, endLine: end } : null;
+}
+
+// A step map for an edited version of the generated file; steps whose lines were removed are dropped
+function remapSteps(stepMap, mapLine) {
+  return stepMap.map(test => ({
+    name: test.name,
+    steps: test.steps.flatMap(step => {
+      const range = remapRange(step.startLine, step.endLine, mapLine);
+      return range ? [{ ...step, ...range }] : [];
+    })
+  }));
+}
+
+// A source map for an edited version of the generated file; steps whose lines were removed keep
+// their status without lines
+function remapSource(sourceMap, mapLine) {
+  return sourceMap.map(entry => {
+    if (!entry.startLine) return entry;
+    return { ...entry, ...(remapRange(entry.startLine, entry.endLine, mapLine) || { startLine: null, endLine: null }) };
+  });
+}
+
+// The mapped step whose generated lines include line, with the test it belongs to
+function findStep(stepMap, line) {
+  for (const test of stepMap || []) {
+    const step = test.steps.find(candidate => line >= candidate.startLine && line <= candidate.endLine);
+    if (step) {
+      return { test, step };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  mapSteps,
+  mapSource,
+  mapEditedLines,
+  remapSteps,
+  remapSource,
+  findStep
+};
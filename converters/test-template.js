@@ -0,0 +1,133 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const STRING_FIELDS = ['description', 'header', 'suiteName', 'testName', 'footer'];
+const HOOK_FIELDS = ['beforeEach', 'afterEach'];
+
+class TestTemplate {
+  constructor(definition = {}) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Template must be a JSON object');
+    }
+
+    this.validateSection(definition, '');
+    const overrides = definition.overrides || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Template "overrides" must map "framework" or "framework/language" to template fields');
+    }
+    Object.entries(overrides).forEach(([key, section]) => this.validateSection(section, `overrides["${key}"]`));
+
+    this.definition = definition;
+  }
+
+  static async load(name, templatesDir) {
+    // Names become file paths, so keep them to a single safe segment
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid template name: ${name}`);
+    }
+
+    const templateFile = path.join(templatesDir, `${name}.json`);
+    if (!await fs.pathExists(templateFile)) {
+      throw new Error(`Template not found: ${name}`);
+    }
+
+    let definition;
+    try {
+      definition = await fs.readJson(templateFile);
+    } catch (error) {
+      throw new Error(`Template ${name} is not valid JSON: ${error.message}`);
+    }
+    return new TestTemplate(definition);
+  }
+
+  static async list(templatesDir) {
+    if (!await fs.pathExists(templatesDir)) {
+      return [];
+    }
+
+    const files = (await fs.readdir(templatesDir)).filter(file => file.endsWith('.json')).sort();
+    const templates = [];
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      try {
+        const template = await TestTemplate.load(name, templatesDir);
+        templates.push({ name, description: template.definition.description || '' });
+      } catch (error) {
+        // A broken template should not hide the others
+        templates.push({ name, description: '', error: error.message });
+      }
+    }
+    return templates;
+  }
+
+  // Name for one test of a resolved template; {{testName}} is the original test's name
+  static getTestName(template, test, defaultName, testCount) {
+    const name = test.name || defaultName;
+    if (!template.testName) return name;
+    if (/\{\{\s*testName\s*\}\}/.test(template.testName)) {
+      return template.testName.replace(/\{\{\s*testName\s*\}\}/g, name);
+    }
+    // A fixed name would repeat across split tests, so keep the original name alongside it
+    return testCount > 1 ? `${template.testName} - ${name}` : template.testName;
+  }
+
+  validateSection(section, label) {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+      throw new Error(`Template ${label} must be an object`);
+    }
+    const prefix = label ? `${label}.` : '';
+
+    STRING_FIELDS.forEach(field => {
+      if (section[field] !== undefined && typeof section[field] !== 'string') {
+        throw new Error(`Template ${prefix}${field} must be a string`);
+      }
+    });
+
+    HOOK_FIELDS.forEach(field => {
+      const value = section[field];
+      const isLines = Array.isArray(value) && value.every(line => typeof line === 'string');
+      if (value !== undefined && typeof value !== 'string' && !isLines) {
+        throw new Error(`Template ${prefix}${field} must be a string or an array of strings`);
+      }
+    });
+  }
+
+  resolve(framework, language, variables = {}) {
+    const overrides = this.definition.overrides || {};
+    // Most specific wins: framework/language, then framework, then the template itself
+    const merged = {
+      ...this.definition,
+      ...(overrides[framework] || {}),
+      ...(overrides[`${framework}/${language}`] || {})
+    };
+
+    const values = {
+      framework,
+      language,
+      baseUrl: '',
+      traceFile: '',
+      date: new Date().toISOString().split('T')[0],
+      ...variables
+    };
+    // Unknown placeholders are left as-is so a typo is visible in the output
+    const substitute = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (!(name in values)) return match;
+      return values[name] === null || values[name] === undefined ? '' : String(values[name]);
+    });
+    const toLines = value => {
+      if (value === undefined) return [];
+      return (Array.isArray(value) ? value : value.split('\n')).map(substitute);
+    };
+
+    return {
+      header: merged.header ? substitute(merged.header) : '',
+      suiteName: merged.suiteName ? substitute(merged.suiteName) : null,
+      testName: merged.testName ? substitute(merged.testName) : null,
+      beforeEach: toLines(merged.beforeEach),
+      afterEach: toLines(merged.afterEach),
+      footer: merged.footer ? substitute(merged.footer) : ''
+    };
+  }
+}
+
+module.exports = TestTemplate;
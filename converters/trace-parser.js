@@ -0,0 +1,639 @@
+const fs = require('fs-extra');
+const readline = require('readline');
+const zlib = require('zlib');
+const TraceValidator = require('./trace-validator');
+const { detectBrowsers } = require('./browser-matrix');
+
+// Step kinds that modern frameworks handle implicitly (locator resolution, auto-wait)
+const AUTO_HANDLED_KINDS = new Set([
+  'findElement', 'findElements', 'ImplicitWait.set', 'Navigation.to'
+]);
+
+// Why each of those kinds produces no code of its own, as shown next to the generated code
+const AUTO_HANDLED_REASONS = {
+  'findElement': 'Element lookup; its locator is part of the action that uses the element',
+  'findElements': 'Element lookup; its locator is part of the action that uses the elements',
+  'ImplicitWait.set': 'Implicit wait; the framework waits for elements automatically',
+  'Navigation.to': 'Wraps the get step that performs the navigation'
+};
+
+// Step kinds every converter knows how to translate
+const SUPPORTED_KINDS = new Set([
+  'get', 'click', 'sendKeys', 'clear', 'getTagName',
+  'Navigation.refresh', 'Navigation.back', 'Navigation.forward',
+  'Wait.until'
+]);
+
+// Framework-neutral category for each Selenium step kind
+const STEP_TYPES = {
+  'get': 'navigation',
+  'Navigation.to': 'navigation',
+  'Navigation.refresh': 'navigation',
+  'Navigation.back': 'navigation',
+  'Navigation.forward': 'navigation',
+  'findElement': 'lookup',
+  'findElements': 'lookup',
+  'click': 'interaction',
+  'sendKeys': 'interaction',
+  'clear': 'interaction',
+  'Wait.until': 'wait',
+  'getTagName': 'assertion',
+  'ImplicitWait.set': 'config'
+};
+
+// Selenium Keys constants, by name and by the private-use character Keys.toString() produces
+const SELENIUM_KEYS = {
+  NULL: { code: '\uE000', key: null },
+  CANCEL: { code: '\uE001', key: 'Cancel' },
+  HELP: { code: '\uE002', key: 'Help' },
+  BACK_SPACE: { code: '\uE003', key: 'Backspace' },
+  TAB: { code: '\uE004', key: 'Tab' },
+  CLEAR: { code: '\uE005', key: 'Clear' },
+  RETURN: { code: '\uE006', key: 'Enter' },
+  ENTER: { code: '\uE007', key: 'Enter' },
+  SHIFT: { code: '\uE008', key: 'Shift' },
+  CONTROL: { code: '\uE009', key: 'Control' },
+  ALT: { code: '\uE00A', key: 'Alt' },
+  PAUSE: { code: '\uE00B', key: 'Pause' },
+  ESCAPE: { code: '\uE00C', key: 'Escape' },
+  SPACE: { code: '\uE00D', key: 'Space' },
+  PAGE_UP: { code: '\uE00E', key: 'PageUp' },
+  PAGE_DOWN: { code: '\uE00F', key: 'PageDown' },
+  END: { code: '\uE010', key: 'End' },
+  HOME: { code: '\uE011', key: 'Home' },
+  ARROW_LEFT: { code: '\uE012', key: 'ArrowLeft' },
+  LEFT: { code: '\uE012', key: 'ArrowLeft' },
+  ARROW_UP: { code: '\uE013', key: 'ArrowUp' },
+  UP: { code: '\uE013', key: 'ArrowUp' },
+  ARROW_RIGHT: { code: '\uE014', key: 'ArrowRight' },
+  RIGHT: { code: '\uE014', key: 'ArrowRight' },
+  ARROW_DOWN: { code: '\uE015', key: 'ArrowDown' },
+  DOWN: { code: '\uE015', key: 'ArrowDown' },
+  INSERT: { code: '\uE016', key: 'Insert' },
+  DELETE: { code: '\uE017', key: 'Delete' },
+  META: { code: '\uE03D', key: 'Meta' },
+  COMMAND: { code: '\uE03D', key: 'Meta' }
+};
+for (let i = 1; i <= 12; i++) {
+  SELENIUM_KEYS[`F${i}`] = { code: String.fromCharCode(0xE030 + i), key: `F${i}` };
+}
+
+const KEYS_BY_CODE = Object.values(SELENIUM_KEYS).reduce((byCode, entry) => {
+  if (!byCode[entry.code]) {
+    byCode[entry.code] = entry.key;
+  }
+  return byCode;
+}, {});
+
+// Locator prefixes used by Selenium's WebElement toString: [[ChromeDriver: ...] -> name: my-text]
+const TARGET_LOCATOR_PREFIXES = {
+  'id': 'id',
+  'name': 'name',
+  'class name': 'className',
+  'class': 'className',
+  'css selector': 'cssSelector',
+  'xpath': 'xpath',
+  'tag name': 'tagName',
+  'link text': 'linkText',
+  'partial link text': 'partialLinkText'
+};
+
+// Longest error message kept per failed step; Selenium appends pages of build and session details
+const MAX_ERROR_LENGTH = 300;
+
+// How often parseFile reports progress on long traces
+const PROGRESS_INTERVAL_LINES = 5000;
+
+// Driver ids recorded for steps that are not tied to a browser session (e.g. ImplicitWait.set)
+const UNATTRIBUTED_DRIVER_IDS = new Set([null, undefined, '', 'na']);
+
+class TraceParser {
+  constructor() {
+    this.validator = new TraceValidator();
+  }
+
+  async parseFile(traceFilePath, { onProgress } = {}) {
+    const state = this.createParseState();
+    await this.readLines(traceFilePath, line => this.parseLine(state, line), onProgress);
+    return this.finishParse(state);
+  }
+
+  // Checks every line against the trace schema without building steps
+  async validateFile(traceFilePath, { onProgress } = {}) {
+    const report = this.validator.createReport();
+    let lineCount = 0;
+    await this.readLines(traceFilePath, line => this.validator.checkLine(report, line, ++lineCount), onProgress);
+    return this.validator.finishReport(report, lineCount);
+  }
+
+  // Streams the file line by line, so traces larger than memory can still be analyzed;
+  // gzip-compressed traces are detected by their magic bytes and decompressed on the fly
+  async readLines(traceFilePath, onLine, onProgress) {
+    const { size } = await fs.stat(traceFilePath);
+    const fileStream = fs.createReadStream(traceFilePath);
+    const input = await this.isGzipFile(traceFilePath)
+      ? fileStream.pipe(zlib.createGunzip())
+      : fileStream;
+    // pipe() does not forward errors, so a read failure must end the decompressed stream too
+    fileStream.on('error', error => input.destroy(error));
+
+    let lineCount = 0;
+    const reportProgress = () => onProgress && onProgress({
+      bytesRead: fileStream.bytesRead,
+      totalBytes: size,
+      lines: lineCount,
+      percent: size > 0 ? Math.min(100, Math.round((fileStream.bytesRead / size) * 100)) : 100
+    });
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      onLine(line);
+      if (++lineCount % PROGRESS_INTERVAL_LINES === 0) {
+        reportProgress();
+      }
+    }
+    reportProgress();
+  }
+
+  async isGzipFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await fs.read(handle, Buffer.alloc(2), 0, 2, 0);
+      return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    } finally {
+      await fs.close(handle);
+    }
+  }
+
+  parse(traceContent) {
+    const state = this.createParseState();
+    traceContent.split('\n').forEach(line => this.parseLine(state, line));
+    return this.finishParse(state);
+  }
+
+  createParseState() {
+    return {
+      lineCount: 0,
+      steps: [],
+      // Locators only appear on step.start, so pair starts with their step.ok
+      // and remember the last element each driver/thread resolved
+      pendingStarts: new Map(),
+      resolvedElements: new Map(),
+      lastWaits: new Map(),
+      cdpNavigations: new Map(),
+      // Parallel sessions navigate independently, so track the current page per driver
+      currentUrls: new Map(),
+      lastUrl: null,
+      implicitWaitMs: null,
+      validation: this.validator.createReport()
+    };
+  }
+
+  parseLine(state, line) {
+    state.lineCount++;
+    const lineNumber = state.lineCount;
+
+    // Malformed lines are skipped for conversion but recorded in the validation report
+    const event = this.validator.checkLine(state.validation, line, lineNumber);
+    if (!event) return;
+
+    if (event.evt === 'step.start') {
+      this.trackStepStart(state.pendingStarts, { ...event, line: lineNumber });
+    } else if (event.evt === 'cdp' && event.newUrl) {
+      // CDP navigation events are keyed by the RemoteNavigation id in the step target
+      state.cdpNavigations.set(event.driverId, event);
+    } else if (event.evt === 'step.ok' || event.evt === 'step.fail') {
+      const key = this.getCorrelationKey(event);
+      const start = this.takeMatchingStart(state.pendingStarts, event);
+      const step = this.createStep(event, start, lineNumber);
+
+      if (step.type === 'lookup') {
+        step.locator = this.parseLocatorMeta(start && start.meta);
+        if (step.locator) {
+          state.resolvedElements.set(key, step);
+        }
+      } else if (step.type === 'interaction' || step.type === 'assertion') {
+        // Prefer a locator embedded in the target, else the element found by the preceding lookup
+        const lookup = state.resolvedElements.get(key);
+        step.locator = this.parseTargetLocator(event.target) || (lookup ? lookup.locator : null);
+        if (event.kind === 'sendKeys') {
+          step.keys = this.parseSendKeys(event, start);
+          step.value = step.keys ? step.keys.filter(part => part.text).map(part => part.text).join('') : null;
+        }
+      } else if (step.type === 'navigation') {
+        const navigation = this.findCdpNavigation(state.cdpNavigations, event.target);
+        step.url = event.kind === 'get' ? this.parseUrl(event.target) : (navigation ? navigation.newUrl : null);
+        step.title = navigation ? navigation.newPageTitle : null;
+      } else if (step.type === 'wait') {
+        this.resolveWait(step, state.resolvedElements.get(key), state.lastWaits.get(key));
+        step.timeoutMs = state.implicitWaitMs;
+        state.lastWaits.set(key, step);
+      } else if (step.type === 'config' && start) {
+        const timeout = parseInt(start.target, 10);
+        step.timeoutMs = Number.isNaN(timeout) ? null : timeout;
+        state.implicitWaitMs = step.timeoutMs;
+      }
+
+      step.pageUrl = UNATTRIBUTED_DRIVER_IDS.has(step.driverId)
+        ? state.lastUrl
+        : state.currentUrls.get(step.driverId) || null;
+      if (step.url) {
+        state.currentUrls.set(step.driverId, step.url);
+        state.lastUrl = step.url;
+      }
+
+      state.steps.push(step);
+    }
+  }
+
+  finishParse(state) {
+    const steps = state.steps;
+    const tests = this.groupTests(steps);
+    const summary = this.summarize(steps);
+    // Browsers to run the converted tests in, unless the conversion request names others
+    summary.browsers = detectBrowsers(summary.drivers);
+    summary.tests = tests.map(test => {
+      const { totalSteps, supportedSteps, unsupportedSteps, conversionRate, actionTypes } = this.summarize(test.steps);
+      return {
+        name: test.name,
+        testId: test.testId,
+        thread: test.thread,
+        driverId: test.driverId,
+        firstLine: test.steps[0].line,
+        totalSteps,
+        supportedSteps,
+        unsupportedSteps,
+        conversionRate,
+        actionTypes,
+        failure: test.failure
+      };
+    });
+    // Where and why the original run failed, so a broken test is not migrated as a passing one
+    summary.failures = tests.flatMap(test => test.steps
+      .filter(step => step.failed)
+      .map(step => ({ ...this.describeFailure(step), test: test.name })));
+    summary.validation = this.validator.finishReport(state.validation, state.lineCount);
+
+    return {
+      steps,
+      tests,
+      summary
+    };
+  }
+
+  groupTests(steps) {
+    // One group per testId; without one, one group per thread and browser session
+    const groups = new Map();
+    const lastGroupByThread = new Map();
+    let unattributed = [];
+
+    steps.forEach(step => {
+      let key;
+      if (step.testId) {
+        key = `test:${step.testId}`;
+      } else if (!UNATTRIBUTED_DRIVER_IDS.has(step.driverId)) {
+        key = `session:${step.thread}:${step.driverId}`;
+      } else {
+        // Config steps belong to whichever test is running on their thread
+        key = lastGroupByThread.get(step.thread);
+      }
+
+      if (!key) {
+        unattributed.push(step);
+        return;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          testId: step.testId || null,
+          thread: step.thread,
+          driverId: UNATTRIBUTED_DRIVER_IDS.has(step.driverId) ? null : step.driverId,
+          steps: []
+        });
+      }
+      const group = groups.get(key);
+
+      // Steps recorded before the first test on this thread started belong to it
+      if (!lastGroupByThread.has(step.thread)) {
+        group.steps.push(...unattributed.filter(pending => pending.thread === step.thread));
+        unattributed = unattributed.filter(pending => pending.thread !== step.thread);
+      }
+
+      group.steps.push(step);
+      lastGroupByThread.set(step.thread, key);
+    });
+
+    const tests = [...groups.values()];
+    if (unattributed.length > 0) {
+      tests.push({ testId: null, thread: unattributed[0].thread, driverId: null, steps: unattributed });
+    }
+
+    // A single session without test ids stays one unnamed test, named by the converter
+    tests.forEach(test => {
+      if (test.testId) {
+        test.name = test.testId;
+      } else if (tests.length > 1) {
+        test.name = test.driverId ? `${test.thread} (driver ${test.driverId})` : test.thread;
+      } else {
+        test.name = null;
+      }
+      // A test stops at its first failure, so that is the one worth reporting
+      test.failure = this.describeFailure(test.steps.find(step => step.failed));
+    });
+
+    return tests;
+  }
+
+  createStep(event, start, lineNumber) {
+    const kind = event.kind;
+    const durationMs = parseInt(event.durationMs, 10);
+    // Older traces report failures as a step.ok with an error instead of a step.fail
+    const error = this.parseError(event.error);
+
+    return {
+      type: STEP_TYPES[kind] || 'unknown',
+      kind,
+      line: lineNumber,
+      startLine: start ? start.line : null,
+      driverId: event.driverId,
+      thread: event.thread,
+      testId: event.testId || null,
+      target: event.target || null,
+      meta: start ? start.meta : null,
+      durationMs: Number.isNaN(durationMs) ? null : durationMs,
+      autoHandled: AUTO_HANDLED_KINDS.has(kind),
+      supported: SUPPORTED_KINDS.has(kind),
+      locator: null,
+      keys: null,
+      value: null,
+      url: null,
+      failed: event.evt === 'step.fail' || error !== null,
+      error: event.evt === 'step.fail' && error === null ? 'Step failed without an error message' : error
+    };
+  }
+
+  // First line of the recorded error, from a message string or an exception object
+  parseError(error) {
+    if (error === undefined || error === null || error === '') return null;
+
+    let message;
+    if (typeof error === 'object') {
+      const type = error.type || error.class || error.name;
+      const text = error.message || error.msg;
+      message = [type, text].filter(Boolean).join(': ') || JSON.stringify(error);
+    } else {
+      message = String(error);
+    }
+    message = message.trim().split('\n')[0].trim();
+    return message.length > MAX_ERROR_LENGTH ? `${message.slice(0, MAX_ERROR_LENGTH - 3)}...` : message;
+  }
+
+  describeFailure(step) {
+    if (!step) return null;
+    return {
+      line: step.line,
+      kind: step.kind,
+      target: step.locator ? `${step.locator.strategy}: ${step.locator.value}` : step.url || step.target,
+      error: step.error
+    };
+  }
+
+  summarize(steps) {
+    let totalSteps = 0;
+    let supportedSteps = 0;
+    const actionTypes = {};
+    const inputValues = { captured: 0, placeholders: 0 };
+    const originCounts = new Map();
+    const drivers = new Map();
+
+    steps.forEach(step => {
+      actionTypes[step.kind] = (actionTypes[step.kind] || 0) + 1;
+
+      const driver = this.parseTargetDriver(step.target);
+      if (driver) {
+        const key = `${driver.driver}|${driver.browserName}`;
+        if (!drivers.has(key)) {
+          drivers.set(key, { ...driver, steps: 0 });
+        }
+        drivers.get(key).steps++;
+      }
+
+      const origin = this.getOrigin(step.url || step.pageUrl);
+      if (origin) {
+        originCounts.set(origin, (originCounts.get(origin) || 0) + 1);
+      }
+
+      if (step.kind === 'sendKeys') {
+        if (step.keys) {
+          inputValues.captured++;
+        } else {
+          inputValues.placeholders++;
+        }
+      }
+
+      // Only count actions that require explicit conversion
+      if (step.autoHandled) return;
+
+      totalSteps++;
+      if (step.supported) {
+        supportedSteps++;
+      }
+    });
+
+    return {
+      totalSteps,
+      supportedSteps,
+      unsupportedSteps: totalSteps - supportedSteps,
+      conversionRate: totalSteps > 0 ? Math.round((supportedSteps / totalSteps) * 100) : 0,
+      actionTypes,
+      inputValues,
+      baseUrl: this.getMostCommonOrigin(originCounts),
+      drivers: Array.from(drivers.values()).sort((a, b) => b.steps - a.steps)
+    };
+  }
+
+  getOrigin(url) {
+    if (!url) return null;
+    try {
+      const { origin } = new URL(url);
+      // Opaque origins (about:blank, data: URLs) cannot serve as a base URL
+      return origin === 'null' ? null : origin;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  getMostCommonOrigin(originCounts) {
+    let baseUrl = null;
+    let highestCount = 0;
+    // Ties go to the origin seen first
+    originCounts.forEach((count, origin) => {
+      if (count > highestCount) {
+        baseUrl = `${origin}/`;
+        highestCount = count;
+      }
+    });
+    return baseUrl;
+  }
+
+  resolveWait(step, lastLookup, lastWait) {
+    // The element a WebDriverWait polls for is looked up inside the wait's start/ok window
+    const startLine = step.startLine || step.line;
+    if (lastLookup && lastLookup.line > startLine) {
+      step.locator = lastLookup.locator;
+    }
+
+    // Nested instrumentation reports the same wait twice; the outer one adds nothing
+    step.redundant = Boolean(lastWait && lastWait.startLine > startLine && lastWait.line < step.line);
+  }
+
+  getCorrelationKey(event) {
+    return `${event.driverId}:${event.thread}`;
+  }
+
+  trackStepStart(pendingStarts, event) {
+    const key = this.getCorrelationKey(event);
+    if (!pendingStarts.has(key)) {
+      pendingStarts.set(key, []);
+    }
+    pendingStarts.get(key).push(event);
+  }
+
+  takeMatchingStart(pendingStarts, event) {
+    const starts = pendingStarts.get(this.getCorrelationKey(event));
+    if (!starts) return null;
+
+    // Steps nest (Wait.until wraps findElement), so match the latest open start of the same kind
+    for (let i = starts.length - 1; i >= 0; i--) {
+      if (starts[i].kind === event.kind) {
+        return starts.splice(i, 1)[0];
+      }
+    }
+    return null;
+  }
+
+  findCdpNavigation(cdpNavigations, target) {
+    if (!target || !target.includes('@')) return null;
+    return cdpNavigations.get(target.split('@').pop()) || null;
+  }
+
+  parseLocatorMeta(meta) {
+    if (!meta) return null;
+
+    // Handle the format: [By.name: my-text] or [By.cssSelector: button[type='submit']]
+    const byMatch = meta.match(/^\[By\.(\w+): (.+)\]$/) || meta.match(/^By\.(\w+): (.+)$/);
+    if (!byMatch) return null;
+
+    return { strategy: byMatch[1], value: byMatch[2] };
+  }
+
+  // Driver a step ran in, from the description Selenium puts in element targets:
+  // [[ChromeDriver: chrome on linux (session id)] -> id: foo]
+  parseTargetDriver(target) {
+    if (!target) return null;
+
+    const match = target.match(/^\[\[(\w+): ([^\]]*)\]/);
+    if (!match) return null;
+
+    const description = match[2].match(/^(\S+)(?: on (\S+))?/);
+    return {
+      driver: match[1],
+      browserName: description ? description[1] : null,
+      platform: description && description[2] ? description[2] : null
+    };
+  }
+
+  parseTargetLocator(target) {
+    if (!target) return null;
+
+    // Handle the format: [[ChromeDriver: ...] -> name: my-text]
+    const cleanLocatorMatch = target.match(/\[\[.*?\] -> (.+)\]$/);
+    if (!cleanLocatorMatch) return null;
+
+    const locatorPart = cleanLocatorMatch[1];
+    const separator = locatorPart.indexOf(': ');
+    if (separator === -1) {
+      return { strategy: 'cssSelector', value: locatorPart };
+    }
+
+    const prefix = locatorPart.slice(0, separator);
+    const strategy = TARGET_LOCATOR_PREFIXES[prefix];
+    if (!strategy) {
+      return { strategy: 'cssSelector', value: locatorPart };
+    }
+    return { strategy, value: locatorPart.slice(separator + 2) };
+  }
+
+  parseSendKeys(event, start) {
+    // The keys may be recorded on either event, as a string or as the CharSequence... array
+    const payload = [event, start].filter(Boolean)
+      .map(source => source.keys !== undefined ? source.keys : (source.value !== undefined ? source.value : source.text))
+      .find(value => value !== undefined && value !== null);
+
+    if (payload !== undefined) {
+      return this.parseKeySequence(Array.isArray(payload) ? payload : [payload]);
+    }
+
+    // Fall back to the step.start meta, which holds Arrays.toString() of the keys: [hello]
+    const metaMatch = start && typeof start.meta === 'string' && start.meta.match(/^\[(.*)\]$/s);
+    if (metaMatch && !metaMatch[1].startsWith('By.')) {
+      return this.parseKeySequence([metaMatch[1]]);
+    }
+    return null;
+  }
+
+  parseKeySequence(parts) {
+    const sequence = [];
+    const pushText = text => {
+      const last = sequence[sequence.length - 1];
+      if (last && last.text !== undefined) {
+        last.text += text;
+      } else {
+        sequence.push({ text });
+      }
+    };
+
+    parts.forEach(part => {
+      const value = String(part);
+      const namedKey = value.match(/^(?:Keys\.)?([A-Z][A-Z0-9_]*)$/);
+      if (namedKey && SELENIUM_KEYS[namedKey[1]] && (value.startsWith('Keys.') || parts.length > 1)) {
+        const key = SELENIUM_KEYS[namedKey[1]].key;
+        if (key) sequence.push({ key });
+        return;
+      }
+
+      // Keys embedded in a string show up as private-use characters
+      let text = '';
+      for (const char of value) {
+        if (KEYS_BY_CODE[char] !== undefined) {
+          if (text) pushText(text);
+          text = '';
+          if (KEYS_BY_CODE[char]) sequence.push({ key: KEYS_BY_CODE[char] });
+        } else {
+          text += char;
+        }
+      }
+      if (text) pushText(text);
+    });
+
+    return sequence;
+  }
+
+  parseUrl(target) {
+    if (!target) return null;
+
+    // step.start wraps the URL in brackets, [https://example.com]; step.ok has the bare URL. Only
+    // the wrapping pair is removed, as IPv6 hosts and query strings such as ?a[]=1 have their own
+    if (target.startsWith('[http') && target.endsWith(']')) {
+      return target.slice(1, -1);
+    }
+    return target;
+  }
+}
+
+TraceParser.AUTO_HANDLED_KINDS = AUTO_HANDLED_KINDS;
+TraceParser.AUTO_HANDLED_REASONS = AUTO_HANDLED_REASONS;
+TraceParser.SUPPORTED_KINDS = SUPPORTED_KINDS;
+TraceParser.STEP_TYPES = STEP_TYPES;
+
+module.exports = TraceParser;
@@ -0,0 +1,100 @@
+const Ajv = require('ajv');
+const traceSchema = require('./trace-schema.json');
+
+// Issues kept per trace; the counts still cover every line
+const MAX_REPORTED_ISSUES = 100;
+
+const KNOWN_EVENTS = traceSchema.properties.evt.enum;
+
+// Compiling the schema is the expensive part, so every validator shares one
+let compiledSchema = null;
+
+class TraceValidator {
+  constructor() {
+    if (!compiledSchema) {
+      compiledSchema = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(traceSchema);
+    }
+    this.validateEvent = compiledSchema;
+  }
+
+  createReport() {
+    return {
+      eventCount: 0,
+      invalidLines: 0,
+      unknownEvents: 0,
+      issues: []
+    };
+  }
+
+  // Returns the parsed event, or null when the line is not a JSON object; problems go into the report
+  checkLine(report, line, lineNumber) {
+    if (!line.trim()) return null;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      this.addIssue(report, lineNumber, 'json', `Invalid JSON: ${error.message}`);
+      report.invalidLines++;
+      return null;
+    }
+
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      this.addIssue(report, lineNumber, 'json', 'Expected a JSON object per line');
+      report.invalidLines++;
+      return null;
+    }
+
+    report.eventCount++;
+    if (event.evt !== undefined && !KNOWN_EVENTS.includes(event.evt)) {
+      this.addIssue(report, lineNumber, 'unknown-event', `Unknown event type ${JSON.stringify(event.evt)}`);
+      report.unknownEvents++;
+      return event;
+    }
+
+    if (!this.validateEvent(event)) {
+      this.addIssue(report, lineNumber, 'schema', this.describeErrors(event, this.validateEvent.errors));
+      report.invalidLines++;
+    }
+    return event;
+  }
+
+  describeErrors(event, errors) {
+    const reasons = errors
+      // if/then failures only say which branch failed; the errors inside the branch say why
+      .filter(error => error.keyword !== 'if')
+      .map(error => {
+        if (error.keyword === 'required') {
+          return `missing "${error.params.missingProperty}"`;
+        }
+        const field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+        return `${field ? `"${field}"` : 'event'} ${error.message}`;
+      });
+    const prefix = event.evt ? `Invalid ${event.evt} event` : 'Invalid event';
+    return `${prefix}: ${[...new Set(reasons)].join(', ')}`;
+  }
+
+  addIssue(report, line, type, reason) {
+    if (report.issues.length < MAX_REPORTED_ISSUES) {
+      report.issues.push({ line, type, reason });
+    }
+  }
+
+  finishReport(report, lineCount) {
+    if (report.eventCount === 0) {
+      this.addIssue(report, null, 'empty', 'The trace contains no events');
+    }
+    const issueCount = report.invalidLines + report.unknownEvents + (report.eventCount === 0 ? 1 : 0);
+    return {
+      valid: issueCount === 0,
+      lineCount,
+      eventCount: report.eventCount,
+      invalidLines: report.invalidLines,
+      unknownEvents: report.unknownEvents,
+      issues: report.issues,
+      truncated: issueCount > report.issues.length
+    };
+  }
+}
+
+module.exports = TraceValidator;
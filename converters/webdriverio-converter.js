@@ -0,0 +1,326 @@
+const path = require('path');
+const TraceParser = require('./trace-parser');
+const TestTemplate = require('./test-template');
+const { mapSteps, mapSource } = require('./step-map');
+
+class WebdriverioConverter {
+  constructor() {
+    this.supportedActions = TraceParser.SUPPORTED_KINDS;
+  }
+
+  async convert(traceFilePath, language = 'javascript', options = {}) {
+    const trace = await new TraceParser().parseFile(traceFilePath, { onProgress: options.onProgress });
+    const template = (options.template || new TestTemplate()).resolve('webdriverio', language, {
+      baseUrl: trace.summary.baseUrl,
+      traceFile: options.traceName || path.basename(traceFilePath)
+    });
+
+    const stats = {
+      totalActions: trace.summary.totalSteps,
+      convertedActions: trace.summary.supportedSteps,
+      skippedActions: trace.summary.unsupportedSteps,
+      actionBreakdown: trace.summary.actionTypes,
+      // Malformed lines, so a corrupted trace does not pass for a short one
+      malformedLines: trace.summary.validation.invalidLines + trace.summary.validation.unknownEvents,
+      failedSteps: trace.summary.failures.length
+    };
+
+    // Each test or parallel session in the trace becomes its own it() block
+    const traceTests = trace.tests.filter(test => test.steps.some(step => !step.autoHandled));
+    if (traceTests.length === 0) {
+      traceTests.push({ name: null, steps: [] });
+    }
+    stats.testCount = traceTests.length;
+
+    const tests = traceTests.map(traceTest => ({
+      name: TestTemplate.getTestName(template, traceTest, 'should execute migrated test steps', traceTests.length),
+      failure: traceTest.failure ? this.describeFailure(traceTest.failure) : null,
+      steps: this.convertSteps(traceTest.steps, language)
+    }));
+
+    // Steps of supported kinds that were still written as comments count as skipped
+    const unconverted = tests.reduce((count, test) =>
+      count + test.steps.filter(step => step.unsupported && this.supportedActions.has(step.kind)).length, 0);
+    stats.convertedActions -= unconverted;
+    stats.skippedActions += unconverted;
+
+    const testContent = this.generateTestFile(tests, language, template);
+    const filename = this.getFilename(language, options.specName);
+
+    return {
+      content: testContent,
+      filename,
+      baseUrl: trace.summary.baseUrl,
+      stepMap: mapSteps(testContent, tests),
+      sourceMap: mapSource(testContent, tests, trace.steps),
+      stats
+    };
+  }
+
+  convertSteps(traceSteps, language) {
+    const steps = [];
+
+    traceSteps.forEach(traceStep => {
+      // Mark where the original run failed, even when the failing step produces no code
+      if (traceStep.failed) {
+        steps.push({
+          action: this.generateComment(`Original Selenium test failed here: ${traceStep.error}`, language),
+          comment: `${traceStep.kind} failed at trace line ${traceStep.line}`
+        });
+      }
+
+      // Lookups and implicit waits are handled by WebdriverIO's auto-waiting $()
+      if (traceStep.autoHandled) return;
+
+      if (this.supportedActions.has(traceStep.kind)) {
+        const step = this.convertStep(traceStep, language);
+        if (step) {
+          // Lets results of the generated test point back at the trace
+          step.traceLine = traceStep.line;
+          step.kind = traceStep.kind;
+          steps.push(step);
+        }
+      } else {
+        steps.push({
+          action: this.generateComment(`Unsupported action: ${traceStep.kind}`, language),
+          comment: `Original target: ${traceStep.target || 'N/A'} (trace line ${traceStep.line})`,
+          traceLine: traceStep.line,
+          kind: traceStep.kind,
+          unsupported: true
+        });
+      }
+    });
+
+    return steps;
+  }
+
+  describeFailure(failure) {
+    return `The original Selenium test failed at trace line ${failure.line} (${failure.kind}): ${failure.error}`;
+  }
+
+  // CSS string for an attribute selector value
+  quoteSelectorValue(value) {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  locatorToSelector(locator) {
+    if (!locator) return '';
+
+    // WebdriverIO selectors map almost one-to-one onto Selenium's By strategies
+    const { strategy, value } = locator;
+    switch (strategy) {
+      case 'id':
+        return `#${value}`;
+      case 'name':
+        return `[name=${this.quoteSelectorValue(value)}]`;
+      case 'className':
+        return `.${value}`;
+      case 'linkText':
+        return `=${value}`;
+      case 'partialLinkText':
+        return `*=${value}`;
+      case 'xpath':
+      case 'cssSelector':
+      case 'tagName':
+      default:
+        return value;
+    }
+  }
+
+  escapeString(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  }
+
+  convertStep(traceStep, language) {
+    const { kind, durationMs } = traceStep;
+    const selector = traceStep.type === 'navigation'
+      ? traceStep.url || ''
+      : this.locatorToSelector(traceStep.locator);
+    // Always use double quotes for selectors to avoid escaping issues with single quotes in CSS selectors
+    const escapedSelector = this.escapeString(selector);
+    const timeoutOption = traceStep.timeoutMs ? `{ timeout: ${traceStep.timeoutMs} }` : '';
+
+    switch (kind) {
+      case 'get':
+        return {
+          action: `await browser.url("${escapedSelector}");`,
+          comment: `Navigate to ${selector}`
+        };
+
+      case 'click':
+        return {
+          action: `await $("${escapedSelector}").click();`,
+          comment: `Click element (${durationMs}ms)`
+        };
+
+      case 'sendKeys':
+        if (!traceStep.keys) {
+          const message = `Missing input value for ${selector} (trace line ${traceStep.line}): the trace did not record the keys sent`;
+          return {
+            action: `throw new Error("${this.escapeString(message)}");`,
+            comment: 'Set input value (value not recorded in trace)'
+          };
+        }
+
+        return {
+          action: this.generateKeySequence(escapedSelector, traceStep.keys),
+          comment: 'Set input value'
+        };
+
+      case 'clear':
+        return {
+          action: `await $("${escapedSelector}").clearValue();`,
+          comment: 'Clear input field'
+        };
+
+      case 'getTagName':
+        return {
+          action: `await expect($("${escapedSelector}")).toBeDisplayed();`,
+          comment: 'Verify element is visible'
+        };
+
+      case 'Wait.until':
+        if (traceStep.redundant) return null;
+
+        if (traceStep.locator) {
+          return {
+            action: `await $("${escapedSelector}").waitForDisplayed(${timeoutOption});`,
+            comment: `Wait for element (WebDriverWait took ${durationMs}ms)`
+          };
+        }
+
+        if (traceStep.pageUrl) {
+          const escapedUrl = this.escapeString(traceStep.pageUrl);
+          return {
+            action: `await browser.waitUntil(async () => (await browser.getUrl()) === "${escapedUrl}"${timeoutOption ? `, ${timeoutOption}` : ''});`,
+            comment: `Wait for page (WebDriverWait took ${durationMs}ms)`
+          };
+        }
+
+        return {
+          action: `await browser.waitUntil(async () => (await browser.execute(() => document.readyState)) === 'complete'${timeoutOption ? `, ${timeoutOption}` : ''});`,
+          comment: `Wait for page load (WebDriverWait took ${durationMs}ms)`
+        };
+
+      case 'Navigation.refresh':
+        return {
+          action: `await browser.refresh();`,
+          comment: 'Refresh page'
+        };
+
+      case 'Navigation.back':
+        return {
+          action: `await browser.back();`,
+          comment: 'Navigate back'
+        };
+
+      case 'Navigation.forward':
+        return {
+          action: `await browser.forward();`,
+          comment: 'Navigate forward'
+        };
+
+      default:
+        // A kind the parser supports but this converter has no code for is reported like an unsupported one
+        return {
+          action: this.generateComment(`Unsupported action: ${kind}`, language),
+          comment: `Original target: ${traceStep.target || 'N/A'} (trace line ${traceStep.line})`,
+          unsupported: true
+        };
+    }
+  }
+
+  generateKeySequence(escapedSelector, keys) {
+    if (keys.length === 0) {
+      return `await $("${escapedSelector}").clearValue();`;
+    }
+
+    // Selenium appends keys, so only the leading text can use setValue()
+    return keys.map((part, index) => {
+      if (part.key) return `await browser.keys("${part.key === 'Space' ? ' ' : part.key}");`;
+      const method = index === 0 ? 'setValue' : 'addValue';
+      return `await $("${escapedSelector}").${method}("${this.escapeString(part.text)}");`;
+    }).join('\n    ');
+  }
+
+  generateComment(text, language) {
+    return `// ${text}`;
+  }
+
+  generateTestFile(tests, language, template) {
+    switch (language) {
+      case 'typescript':
+        return this.generateTypeScriptTest(tests, template);
+      case 'javascript':
+      default:
+        return this.generateJavaScriptTest(tests, template);
+    }
+  }
+
+  applyTemplate(content, template) {
+    const header = template.header ? `${template.header}\n\n` : '';
+    const footer = template.footer ? `\n${template.footer}\n` : '';
+    return `${header}${content}${footer}`;
+  }
+
+  indentBlock(text, indent) {
+    return text.split('\n').map(line => line ? `${indent}${line}` : line).join('\n');
+  }
+
+  quoteSingle(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  generateJavaScriptTest(tests, template) {
+    return this.applyTemplate(`${this.generateMochaSuite(tests, template)}
+`, template);
+  }
+
+  generateTypeScriptTest(tests, template) {
+    return this.applyTemplate(`import { browser, $, expect } from '@wdio/globals';
+
+${this.generateMochaSuite(tests, template)}
+`, template);
+  }
+
+  generateMochaSuite(tests, template) {
+    const hooks = ['beforeEach', 'afterEach']
+      .filter(hook => template[hook].length > 0)
+      .map(hook => `  ${hook}(async () => {
+${this.indentBlock(template[hook].join('\n'), '    ')}
+  });
+
+`).join('');
+
+    const testBlocks = tests.map(test => {
+      const testBody = test.steps.map(step =>
+        `    // ${step.comment}\n    ${step.action}`
+      ).join('\n\n');
+      // Mocha has no expected failures, so the original failure is noted at the top of the test
+      return `  it(${this.quoteSingle(test.name)}, async () => {
+    // This test was automatically migrated from Selenium trace${test.failure ? `\n    // ${test.failure}` : ''}
+
+${testBody}
+  });`;
+    });
+
+    return `describe(${this.quoteSingle(template.suiteName || 'Migrated Selenium Test')}, () => {
+${hooks}${testBlocks.join('\n\n')}
+});`;
+  }
+
+  getFilename(language, specName = 'migrated-selenium') {
+    const baseName = (specName.replace(/([a-z0-9])([A-Z])/g, '$1 $2').match(/[A-Za-z0-9]+/g) || ['migrated'])
+      .map(word => word.toLowerCase())
+      .join('-');
+    switch (language) {
+      case 'typescript':
+        return `${baseName}.e2e.ts`;
+      case 'javascript':
+      default:
+        return `${baseName}.e2e.js`;
+    }
+  }
+}
+
+module.exports = WebdriverioConverter;
@@ -2,9 +2,15 @@ class FrameworkMigrationApp {
     constructor() {
         this.currentStep = 1;
         this.jobId = null;
+        this.batchId = null;
         this.selectedFramework = null;
         this.selectedLanguage = null;
         this.frameworks = {};
+        this.executionEvents = null;
+        this.sourceMap = [];
+        this.sourceLines = new Map();
+        this.sourceHighlight = [];
+        this.output = null;
         
         this.init();
     }
@@ -12,6 +18,8 @@ class FrameworkMigrationApp {
     init() {
         this.setupEventListeners();
         this.loadFrameworks();
+        this.loadTemplates();
+        this.loadJobHistory();
     }
     
     setupEventListeners() {
@@ -34,10 +42,7 @@ class FrameworkMigrationApp {
         dropZone.addEventListener('drop', (e) => {
             e.preventDefault();
             dropZone.classList.remove('border-blue-400');
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                this.uploadFile(files[0]);
-            }
+            this.handleFiles(e.dataTransfer.files);
         });
         
         // Navigation buttons
@@ -49,6 +54,60 @@ class FrameworkMigrationApp {
             this.startConversion();
         });
         
+        // Trace and generated code view
+        document.getElementById('sourceFilter').addEventListener('change', () => {
+            this.renderSourceSteps();
+        });
+        
+        document.getElementById('sourceTraceSteps').addEventListener('mouseover', (e) => {
+            const row = e.target.closest('tr[data-index]');
+            if (row) {
+                this.highlightSource(Number(row.dataset.index), 'code');
+            }
+        });
+        
+        document.getElementById('sourceCode').addEventListener('mouseover', (e) => {
+            const line = e.target.closest('[data-line]');
+            if (line && this.sourceLines.has(Number(line.dataset.line))) {
+                this.highlightSource(this.sourceLines.get(Number(line.dataset.line)), 'trace');
+            }
+        });
+        
+        // Editing the generated test
+        document.getElementById('editCode').addEventListener('click', () => {
+            this.openEditor();
+        });
+        
+        document.getElementById('cancelEdit').addEventListener('click', () => {
+            this.closeEditor();
+        });
+        
+        document.getElementById('saveEdit').addEventListener('click', () => {
+            this.saveEdit(document.getElementById('codeEditor').value);
+        });
+        
+        document.getElementById('editHistory').addEventListener('click', (e) => {
+            if (e.target.closest('#restoreGenerated')) {
+                // The first edit recorded what the converter generated
+                this.saveEdit(this.output.edits[0].previousContent);
+            }
+        });
+        
+        document.getElementById('codeEditor').addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') return;
+            // Indent instead of leaving the editor
+            e.preventDefault();
+            const indent = ['javascript', 'typescript'].includes(this.selectedLanguage) ? '  ' : '    ';
+            e.target.setRangeText(indent, e.target.selectionStart, e.target.selectionEnd, 'end');
+        });
+        
+        document.getElementById('templateFileInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.uploadTemplate(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+        
         document.getElementById('downloadTest').addEventListener('click', () => {
             this.downloadTest();
         });
@@ -57,10 +116,25 @@ class FrameworkMigrationApp {
             this.executeTest();
         });
         
+        document.getElementById('cancelExecution').addEventListener('click', () => {
+            this.cancelExecution();
+        });
+        
         document.getElementById('startNew').addEventListener('click', () => {
             this.resetApp();
         });
         
+        document.getElementById('refreshHistory').addEventListener('click', () => {
+            this.loadJobHistory();
+        });
+        
+        document.getElementById('jobHistory').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delete-id]');
+            if (button) {
+                this.deleteHistoryEntry(button.dataset.deleteType, button.dataset.deleteId);
+            }
+        });
+        
         document.getElementById('refreshLogs').addEventListener('click', () => {
             this.fetchServerLogs();
         });
@@ -77,13 +151,57 @@ class FrameworkMigrationApp {
         }
     }
     
+    async loadTemplates(selectedName = '') {
+        try {
+            const response = await fetch('/api/templates');
+            const templates = await response.json();
+            
+            const select = document.getElementById('templateSelect');
+            select.innerHTML = '<option value="">No template (default output)</option>';
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.name;
+                option.disabled = Boolean(template.error);
+                option.textContent = template.error
+                    ? `${template.name} (invalid: ${template.error})`
+                    : `${template.name}${template.description ? ` - ${template.description}` : ''}`;
+                select.appendChild(option);
+            });
+            select.value = selectedName;
+        } catch (error) {
+            console.error('Error loading templates:', error);
+        }
+    }
+    
+    async uploadTemplate(file) {
+        const formData = new FormData();
+        formData.append('template', file);
+        
+        try {
+            const response = await fetch('/api/templates', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || response.statusText);
+            }
+            
+            await this.loadTemplates(result.name);
+        } catch (error) {
+            console.error('Template upload error:', error);
+            this.showError(`Failed to upload template: ${error.message}`);
+        }
+    }
+    
     renderFrameworkOptions() {
         const container = document.getElementById('frameworkOptions');
         container.innerHTML = '';
         
         const frameworkIcons = {
             'playwright': 'fas fa-theater-masks',
-            'cypress': 'fas fa-tree'
+            'cypress': 'fas fa-tree',
+            'webdriverio': 'fas fa-robot'
         };
         
         Object.entries(this.frameworks).forEach(([framework, config]) => {
@@ -140,7 +258,10 @@ class FrameworkMigrationApp {
             const languageIcons = {
                 'javascript': 'fab fa-js-square text-yellow-500',
                 'typescript': 'fab fa-js-square text-blue-500',
-                'python': 'fab fa-python text-green-500'
+                'python': 'fab fa-python text-green-500',
+                'java': 'fab fa-java text-red-500',
+                'csharp': 'fas fa-hashtag text-purple-500',
+                'csharp-mstest': 'fas fa-hashtag text-purple-500'
             };
             
             option.innerHTML = `
@@ -166,19 +287,164 @@ class FrameworkMigrationApp {
         selectedOption.classList.add('border-blue-500', 'bg-blue-50');
         
         this.selectedLanguage = language;
+        
+        // Page objects are only offered where the converter can generate them
+        const languageInfo = this.frameworks[this.selectedFramework].languages.find(l => l.code === language);
+        const pageObjectsOption = document.getElementById('pageObjectsOption');
+        if (languageInfo && languageInfo.pageObjects) {
+            pageObjectsOption.classList.remove('hidden');
+        } else {
+            pageObjectsOption.classList.add('hidden');
+            document.getElementById('pageObjectsToggle').checked = false;
+        }
+        
+        // Java and C# tests and WebdriverIO run in a single browser
+        const browsersOption = document.getElementById('browsersOption');
+        if (this.selectedFramework === 'cypress' ||
+            (this.selectedFramework === 'playwright' && ['javascript', 'typescript', 'python'].includes(language))) {
+            browsersOption.classList.remove('hidden');
+        } else {
+            browsersOption.classList.add('hidden');
+        }
+        
         document.getElementById('startConversion').disabled = false;
     }
     
+    async loadJobHistory() {
+        try {
+            const [jobsResponse, batchesResponse] = await Promise.all([
+                fetch('/api/jobs'),
+                fetch('/api/batches')
+            ]);
+            const jobs = await jobsResponse.json();
+            const batches = await batchesResponse.json();
+            
+            // Traces uploaded as part of a batch are listed, and deleted, with their batch
+            const entries = jobs
+                .filter(job => !job.batchId)
+                .map(job => ({ type: 'job', id: job.id, name: job.analysis?.fileName || job.id, item: job }))
+                .concat(batches.map(batch => ({
+                    type: 'batch',
+                    id: batch.id,
+                    name: `Batch of ${batch.jobIds.length} trace${batch.jobIds.length === 1 ? '' : 's'}`,
+                    item: batch
+                })))
+                .sort((a, b) => new Date(b.item.createdAt) - new Date(a.item.createdAt));
+            
+            this.displayJobHistory(entries);
+        } catch (error) {
+            console.error('Error loading job history:', error);
+        }
+    }
+    
+    displayJobHistory(entries) {
+        const section = document.getElementById('jobHistorySection');
+        const history = document.getElementById('jobHistory');
+        history.innerHTML = '';
+        
+        if (entries.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'flex justify-between items-center bg-gray-50 px-4 py-2 rounded';
+            const target = entry.item.framework ? `${entry.item.framework} (${entry.item.language})` : 'not converted';
+            item.innerHTML = `
+                <div>
+                    <div class="font-medium font-mono text-sm">${this.escapeHtml(entry.name)}</div>
+                    <div class="text-xs text-gray-600 mt-1">
+                        ${this.escapeHtml(entry.item.status)}, ${this.escapeHtml(target)}, ${new Date(entry.item.createdAt).toLocaleString()}
+                    </div>
+                </div>
+                <button class="text-red-600 hover:text-red-800 px-2 py-1" title="Delete" data-delete-type="${entry.type}" data-delete-id="${entry.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+            history.appendChild(item);
+        });
+        section.classList.remove('hidden');
+    }
+    
+    async deleteHistoryEntry(type, id) {
+        if (!confirm(`Delete this ${type} and its uploaded and generated files?`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/${type}/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: response.statusText }));
+                throw new Error(errorData.error || `Delete failed: ${response.statusText}`);
+            }
+            
+            if (id === this.jobId || id === this.batchId) {
+                this.resetApp();
+            } else {
+                this.loadJobHistory();
+            }
+        } catch (error) {
+            console.error('Delete error:', error);
+            this.showError(`Failed to delete ${type}: ${error.message}`);
+        }
+    }
+    
     handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.uploadFile(file);
+        this.handleFiles(event.target.files);
+    }
+    
+    handleFiles(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+        
+        // Several traces or a zip of traces are converted together as a batch
+        if (files.length > 1 || files[0].name.endsWith('.zip')) {
+            this.uploadBatch(files);
+        } else {
+            this.uploadFile(files[0]);
+        }
+    }
+    
+    async uploadBatch(files) {
+        const invalid = files.filter(file => !/\.((json|ndjson)(\.gz)?|zip)$/.test(file.name));
+        if (invalid.length > 0) {
+            this.showError(`Only JSON, NDJSON (optionally .gz) and ZIP files can be uploaded: ${invalid.map(file => file.name).join(', ')}`);
+            return;
+        }
+        
+        const formData = new FormData();
+        files.forEach(file => formData.append('traces', file));
+        
+        this.showProgress();
+        
+        try {
+            const response = await fetch('/api/batch/upload', {
+                method: 'POST',
+                body: formData
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: response.statusText }));
+                throw new Error(errorData.error || `Upload failed: ${response.statusText}`);
+            }
+            
+            const result = await response.json();
+            this.jobId = null;
+            this.batchId = result.batchId;
+            this.displayBatchAnalysis(result.analysis);
+            this.showStep(2);
+        } catch (error) {
+            console.error('Batch upload error:', error);
+            this.showError(`Failed to upload and analyze files: ${error.message}`);
+        } finally {
+            this.hideProgress();
         }
     }
     
     async uploadFile(file) {
-        if (!file.name.endsWith('.json') && !file.name.endsWith('.ndjson')) {
-            this.showError('Please upload a JSON or NDJSON file');
+        if (!/\.(json|ndjson)(\.gz)?$/.test(file.name)) {
+            this.showError('Please upload a JSON or NDJSON file (optionally .gz)');
             return;
         }
         
@@ -194,27 +460,105 @@ class FrameworkMigrationApp {
             });
             
             if (!response.ok) {
-                throw new Error(`Upload failed: ${response.statusText}`);
+                const errorData = await response.json().catch(() => ({ error: response.statusText }));
+                throw new Error(errorData.error || `Upload failed: ${response.statusText}`);
             }
             
             const result = await response.json();
             this.jobId = result.jobId;
-            this.displayAnalysisResults(result.analysis);
+            this.batchId = null;
+            // Large traces are still being parsed when the upload returns
+            const analysis = response.status === 202
+                ? await this.waitForAnalysis(result.jobId)
+                : result.analysis;
+            this.displayAnalysisResults(analysis);
             this.showStep(2);
         } catch (error) {
             console.error('Upload error:', error);
-            this.showError('Failed to upload and analyze file');
+            this.showError(`Failed to upload and analyze file: ${error.message}`);
         } finally {
             this.hideProgress();
         }
     }
     
+    async waitForAnalysis(jobId) {
+        const progressBar = document.querySelector('.progress-bar');
+        const progressText = document.querySelector('#uploadProgress p');
+        
+        while (true) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const response = await fetch(`/api/job/${jobId}`);
+            if (!response.ok) {
+                throw new Error(`Could not check analysis progress: ${response.statusText}`);
+            }
+            
+            const job = await response.json();
+            if (job.status === 'analyzed') {
+                progressText.textContent = 'Uploading and analyzing...';
+                return job.analysis;
+            }
+            if (job.status !== 'analyzing') {
+                throw new Error(job.error || `Analysis ended with status ${job.status}`);
+            }
+            
+            if (job.progress) {
+                progressBar.style.width = `${job.progress.percent}%`;
+                progressText.textContent = `Analyzing... ${job.progress.percent}% (${job.progress.lines.toLocaleString()} lines)`;
+            }
+        }
+    }
+    
     displayAnalysisResults(analysis) {
+        document.getElementById('batchFilesSection').classList.add('hidden');
+        document.getElementById('browsersInput').value = (analysis.browsers || []).join(', ');
         document.getElementById('totalSteps').textContent = analysis.totalSteps;
         document.getElementById('supportedSteps').textContent = analysis.supportedSteps;
         document.getElementById('conversionRate').textContent = 
             `${Math.round((analysis.supportedSteps / analysis.totalSteps) * 100)}%`;
         
+        const inputSummary = document.getElementById('inputValueSummary');
+        const inputValues = analysis.inputValues || { captured: 0, placeholders: 0 };
+        if (inputValues.captured + inputValues.placeholders > 0) {
+            inputSummary.innerHTML = `
+                <i class="fas fa-keyboard mr-2"></i>
+                Input values: <span class="font-semibold">${inputValues.captured}</span> recorded in the trace,
+                <span class="font-semibold ${inputValues.placeholders > 0 ? 'text-red-600' : ''}">${inputValues.placeholders}</span> missing
+                ${inputValues.placeholders > 0 ? '(generated tests will fail at these steps until a value is filled in)' : ''}
+            `;
+            inputSummary.classList.remove('hidden');
+        } else {
+            inputSummary.classList.add('hidden');
+        }
+
+        this.displayValidation(analysis.validation);
+        this.displayFailures(analysis.failures);
+
+        // Traces with several tests or parallel sessions are split into one test each
+        const tests = analysis.tests || [];
+        const testSection = document.getElementById('testBreakdownSection');
+        const testBreakdown = document.getElementById('testBreakdown');
+        testBreakdown.innerHTML = '';
+        if (tests.length > 1) {
+            tests.forEach(test => {
+                const item = document.createElement('div');
+                item.className = 'bg-gray-50 px-4 py-2 rounded';
+                item.innerHTML = `
+                    <div class="flex justify-between items-center">
+                        <span class="font-medium font-mono text-sm">${this.escapeHtml(test.name)}</span>
+                        <span class="bg-blue-100 text-blue-800 px-2 py-1 rounded text-sm">${test.supportedSteps}/${test.totalSteps} steps (${test.conversionRate}%)</span>
+                    </div>
+                    <div class="text-xs text-gray-600 mt-1">
+                        Thread ${this.escapeHtml(test.thread || 'n/a')}${test.driverId ? `, driver ${this.escapeHtml(test.driverId)}` : ''}, from trace line ${test.firstLine}
+                        ${test.failure ? `<span class="text-yellow-700 font-semibold ml-2">failed at line ${test.failure.line}</span>` : ''}
+                    </div>
+                `;
+                testBreakdown.appendChild(item);
+            });
+            testSection.classList.remove('hidden');
+        } else {
+            testSection.classList.add('hidden');
+        }
+        
         const breakdown = document.getElementById('actionBreakdown');
         breakdown.innerHTML = '';
         
@@ -228,22 +572,120 @@ class FrameworkMigrationApp {
             breakdown.appendChild(item);
         });
     }
+
+    // Lines the parser skipped, so a corrupted trace does not quietly turn into a shorter test
+    displayValidation(validation) {
+        const section = document.getElementById('validationSection');
+        if (!validation || validation.valid) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        const skipped = validation.invalidLines + validation.unknownEvents;
+        document.getElementById('validationSummary').textContent =
+            `${skipped} of ${validation.lineCount} lines were skipped or only partly understood. ` +
+            'Steps on these lines may be missing from the generated test.' +
+            (validation.truncated ? ` Only the first ${validation.issues.length} problems are listed.` : '');
+
+        const issues = document.getElementById('validationIssues');
+        issues.innerHTML = '';
+        validation.issues.forEach(issue => {
+            const item = document.createElement('div');
+            item.className = 'flex items-start bg-white px-3 py-1 rounded text-sm';
+            item.innerHTML = `
+                <span class="font-mono text-gray-500 w-20 flex-shrink-0">${issue.line ? `line ${issue.line}` : 'trace'}</span>
+                <span class="text-red-600 w-28 flex-shrink-0">${this.escapeHtml(issue.type)}</span>
+                <span class="text-gray-700 break-all">${this.escapeHtml(issue.reason)}</span>
+            `;
+            issues.appendChild(item);
+        });
+        section.classList.remove('hidden');
+    }
+
+    displayFailures(failures) {
+        const section = document.getElementById('failureSection');
+        if (!failures || failures.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        const list = document.getElementById('failureList');
+        list.innerHTML = '';
+        failures.forEach(failure => {
+            const item = document.createElement('div');
+            item.className = 'bg-white px-4 py-2 rounded text-sm';
+            item.innerHTML = `
+                <div class="flex justify-between items-center">
+                    <span class="font-medium font-mono">${this.escapeHtml(failure.kind)}${failure.target ? ` <span class="text-gray-500">${this.escapeHtml(failure.target)}</span>` : ''}</span>
+                    <span class="text-gray-600">${failure.test ? `${this.escapeHtml(failure.test)}, ` : ''}trace line ${failure.line}</span>
+                </div>
+                <div class="text-red-600 mt-1 break-all">${this.escapeHtml(failure.error)}</div>
+            `;
+            list.appendChild(item);
+        });
+        section.classList.remove('hidden');
+    }
+
+    displayBatchAnalysis(analysis) {
+        document.getElementById('browsersInput').value = '';
+        document.getElementById('totalSteps').textContent = analysis.totalSteps;
+        document.getElementById('supportedSteps').textContent = analysis.supportedSteps;
+        document.getElementById('conversionRate').textContent = `${analysis.conversionRate}%`;
+        document.getElementById('inputValueSummary').classList.add('hidden');
+        document.getElementById('testBreakdownSection').classList.add('hidden');
+        document.getElementById('validationSection').classList.add('hidden');
+        document.getElementById('failureSection').classList.add('hidden');
+        
+        const batchFiles = document.getElementById('batchFiles');
+        batchFiles.innerHTML = '';
+        analysis.files.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'flex justify-between items-center bg-gray-50 px-4 py-2 rounded';
+            item.innerHTML = `
+                <span class="font-medium font-mono text-sm">${this.escapeHtml(file.fileName)}</span>
+                <span class="bg-blue-100 text-blue-800 px-2 py-1 rounded text-sm">${file.supportedSteps}/${file.totalSteps} steps (${file.conversionRate}%)${file.testCount > 1 ? `, ${file.testCount} tests` : ''}${file.malformedLines > 0 ? `, <span class="text-red-600">${file.malformedLines} malformed lines</span>` : ''}${file.failedTests > 0 ? `, <span class="text-yellow-700">${file.failedTests} failed in Selenium</span>` : ''}</span>
+            `;
+            batchFiles.appendChild(item);
+        });
+        analysis.failed.forEach(file => {
+            const item = document.createElement('div');
+            item.className = 'flex justify-between items-center bg-red-50 px-4 py-2 rounded';
+            item.innerHTML = `
+                <span class="font-medium font-mono text-sm">${this.escapeHtml(file.fileName)}</span>
+                <span class="text-red-600 text-sm">${this.escapeHtml(file.error)}</span>
+            `;
+            batchFiles.appendChild(item);
+        });
+        document.getElementById('batchFilesSection').classList.remove('hidden');
+        
+        // Action counts are shown per trace in single mode; a batch lists its files instead
+        document.getElementById('actionBreakdown').innerHTML = '';
+    }
     
     async startConversion() {
-        if (!this.jobId || !this.selectedFramework || !this.selectedLanguage) {
+        if ((!this.jobId && !this.batchId) || !this.selectedFramework || !this.selectedLanguage) {
             this.showError('Please complete all steps before converting');
             return;
         }
         
+        // Left empty, each trace runs in the browsers its Selenium driver used
+        const browsers = document.getElementById('browsersOption').classList.contains('hidden')
+            ? []
+            : document.getElementById('browsersInput').value.split(',').map(entry => entry.trim()).filter(Boolean);
+        
         try {
-            const response = await fetch(`/api/convert/${this.jobId}`, {
+            const url = this.batchId ? `/api/batch/${this.batchId}/convert` : `/api/convert/${this.jobId}`;
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
                     framework: this.selectedFramework,
-                    language: this.selectedLanguage
+                    language: this.selectedLanguage,
+                    pageObjects: document.getElementById('pageObjectsToggle').checked,
+                    template: document.getElementById('templateSelect').value || undefined,
+                    browsers: browsers.length > 0 ? browsers : undefined
                 })
             });
             
@@ -253,7 +695,11 @@ class FrameworkMigrationApp {
             }
             
             const result = await response.json();
-            this.displayConversionResults(result);
+            if (this.batchId) {
+                this.displayBatchConversionResults(result);
+            } else {
+                this.displayConversionResults(result);
+            }
             this.showStep(4);
         } catch (error) {
             console.error('Conversion error:', error);
@@ -262,6 +708,10 @@ class FrameworkMigrationApp {
     }
     
     displayConversionResults(result) {
+        document.getElementById('executionControls').classList.remove('hidden');
+        document.getElementById('downloadLabel').textContent = 'Download Generated Test';
+        document.getElementById('downloadOptions').classList.remove('hidden');
+        
         // Display conversion statistics
         const statsContainer = document.getElementById('conversionStats');
         statsContainer.innerHTML = `
@@ -279,20 +729,265 @@ class FrameworkMigrationApp {
             </div>
             <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
                 <span>Success Rate:</span>
-                <span class="font-semibold">${Math.round((result.stats.convertedActions / result.stats.totalActions) * 100)}%</span>
+                <span class="font-semibold">${result.stats.totalActions > 0 ? Math.round((result.stats.convertedActions / result.stats.totalActions) * 100) : 0}%</span>
+            </div>
+            ${result.stats.testCount > 1 ? `
+            <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
+                <span>Tests Generated:</span>
+                <span class="font-semibold">${result.stats.testCount}</span>
+            </div>` : ''}
+            ${result.stats.failedSteps > 0 ? `
+            <div class="flex justify-between items-center bg-yellow-50 px-4 py-2 rounded">
+                <span>Steps That Failed in Selenium:</span>
+                <span class="font-semibold text-yellow-700">${result.stats.failedSteps}</span>
+            </div>` : ''}
+            ${result.stats.malformedLines > 0 ? `
+            <div class="flex justify-between items-center bg-red-50 px-4 py-2 rounded">
+                <span>Malformed Trace Lines:</span>
+                <span class="font-semibold text-red-600">${result.stats.malformedLines}</span>
+            </div>` : ''}
+            ${result.output.syntax && result.output.syntax.errors.length > 0 ? `
+            <div class="flex justify-between items-center bg-red-50 px-4 py-2 rounded">
+                <span>Syntax Errors in Generated Test:</span>
+                <span class="font-semibold text-red-600">${result.output.syntax.errors.length}</span>
+            </div>` : ''}
+            ${result.output.browsers ? `
+            <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
+                <span>Browsers:</span>
+                <span class="font-semibold">${this.escapeHtml(result.output.browsers.join(', '))}</span>
+            </div>` : ''}
+            ${result.output.files && result.output.files.length > 0 ? `
+            <div class="bg-gray-50 px-4 py-2 rounded">
+                <span>Page Objects:</span>
+                <div class="font-mono text-sm mt-1">${result.output.files.map(file => this.escapeHtml(file)).join('<br>')}</div>
+            </div>` : ''}
+        `;
+        
+        document.getElementById('generatedFiles').classList.add('hidden');
+        this.output = result.output;
+        this.closeEditor();
+        this.displaySourceView(result.generatedCode, result.output.sourceMap);
+    }
+    
+    openEditor() {
+        document.getElementById('codeEditor').value = this.output.content;
+        document.getElementById('codeEditorErrors').classList.add('hidden');
+        document.getElementById('codeEditorPanel').classList.remove('hidden');
+        document.getElementById('sourcePanes').classList.add('hidden');
+        document.getElementById('editCode').disabled = true;
+    }
+    
+    closeEditor() {
+        document.getElementById('codeEditorPanel').classList.add('hidden');
+        document.getElementById('sourcePanes').classList.remove('hidden');
+        document.getElementById('editCode').disabled = false;
+    }
+    
+    // Saves an edited test once the server has checked its syntax; the next execution runs it
+    async saveEdit(content) {
+        const errorsBox = document.getElementById('codeEditorErrors');
+        try {
+            const response = await fetch(`/api/job/${this.jobId}/output`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ content })
+            });
+            const result = await response.json().catch(() => ({ error: response.statusText }));
+            
+            if (result.syntax && result.syntax.errors.length > 0) {
+                errorsBox.innerHTML = `
+                    <div class="font-semibold mb-1">Not saved: the test has syntax errors</div>
+                    ${result.syntax.errors.map(error => `<div class="font-mono">${error.line ? `Line ${error.line}${error.column ? `:${error.column}` : ''}: ` : ''}${this.escapeHtml(error.message)}</div>`).join('')}
+                `;
+                errorsBox.classList.remove('hidden');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(result.error || `Save failed: ${response.statusText}`);
+            }
+            
+            this.output = result.output;
+            this.closeEditor();
+            this.displaySourceView(result.output.content, result.output.sourceMap);
+            this.showInfo(result.syntax.checked
+                ? 'Saved. The next execution runs the edited test.'
+                : `Saved without a syntax check (${result.syntax.reason}). The next execution runs the edited test.`);
+        } catch (error) {
+            console.error('Save error:', error);
+            this.showError(`Failed to save the edited test: ${error.message}`);
+        }
+    }
+    
+    displayEditHistory() {
+        const history = document.getElementById('editHistory');
+        const edits = (this.output && this.output.edits) || [];
+        if (edits.length === 0) {
+            history.classList.add('hidden');
+            return;
+        }
+        history.innerHTML = `
+            <i class="fas fa-history mr-1"></i>
+            Edited ${edits.length} ${edits.length === 1 ? 'time' : 'times'}, last on ${new Date(edits[edits.length - 1].editedAt).toLocaleString()}.
+            <button id="restoreGenerated" class="underline ml-1">Restore the earliest kept version</button>
+        `;
+        history.classList.remove('hidden');
+    }
+    
+    // Every trace step beside the full generated code, linked both ways on hover
+    displaySourceView(code, sourceMap) {
+        this.sourceMap = sourceMap || [];
+        // Generated line -> index of the trace step it came from
+        this.sourceLines = new Map();
+        this.sourceMap.forEach((entry, index) => {
+            for (let line = entry.startLine; line && line <= entry.endLine; line++) {
+                this.sourceLines.set(line, index);
+            }
+        });
+        this.sourceHighlight = [];
+        
+        document.getElementById('sourceCode').innerHTML = code.split('\n').map((line, index) => `
+            <div class="px-3" data-line="${index + 1}"><span class="inline-block w-12 pr-3 text-right text-gray-500 select-none">${index + 1}</span>${this.escapeHtml(line)}</div>`.trim()).join('');
+        
+        const counts = {};
+        this.sourceMap.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+        document.getElementById('sourceSummary').textContent = Object.keys(counts)
+            .map(status => `${counts[status]} ${status}`)
+            .join(', ');
+        document.getElementById('sourceFilter').value = 'all';
+        this.renderSourceSteps();
+        this.displayEditHistory();
+        document.getElementById('sourceView').classList.toggle('hidden', this.sourceMap.length === 0);
+    }
+    
+    renderSourceSteps() {
+        const filter = document.getElementById('sourceFilter').value;
+        const statusStyles = {
+            'converted': 'text-green-600',
+            'unsupported': 'text-red-600',
+            'auto-handled': 'text-gray-500',
+            'skipped': 'text-yellow-700'
+        };
+        // Very long traces have tens of thousands of steps; the list only shows the first ones
+        const maxListedSteps = 5000;
+        
+        const entries = this.sourceMap
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => filter === 'all' ||
+                (filter === 'converted' ? entry.status === 'converted' : entry.status !== 'converted'));
+        document.getElementById('sourceTraceSteps').innerHTML = entries.slice(0, maxListedSteps).map(({ entry, index }) => `
+            <tr class="border-b border-gray-100 align-top" data-index="${index}">
+                <td class="px-3 py-1 text-gray-500">${entry.traceLine}</td>
+                <td class="px-3 py-1 break-all">
+                    ${this.escapeHtml(entry.kind)}${entry.target ? ` <span class="text-gray-500">${this.escapeHtml(entry.target)}</span>` : ''}
+                    ${entry.failed ? '<div class="text-yellow-700">failed in Selenium</div>' : ''}
+                </td>
+                <td class="px-3 py-1 ${statusStyles[entry.status] || 'text-gray-500'}">
+                    ${entry.status}${entry.startLine ? ` <span class="text-gray-500">line ${entry.startLine}${entry.endLine > entry.startLine ? `-${entry.endLine}` : ''}</span>` : ''}
+                    ${entry.reason ? `<div class="text-gray-500">${this.escapeHtml(entry.reason)}</div>` : ''}
+                </td>
+            </tr>`).join('');
+        
+        const more = document.getElementById('sourceTraceMore');
+        more.textContent = `... and ${entries.length - maxListedSteps} more steps`;
+        more.classList.toggle('hidden', entries.length <= maxListedSteps);
+    }
+    
+    // Highlights a trace step and its generated lines, scrolling whichever pane was not hovered
+    highlightSource(index, scrollPane) {
+        this.sourceHighlight.forEach(element => element.classList.remove('bg-gray-700', 'bg-blue-50'));
+        this.sourceHighlight = [];
+        const entry = this.sourceMap[index];
+        if (!entry) return;
+        
+        const row = document.querySelector(`#sourceTraceSteps tr[data-index="${index}"]`);
+        if (row) {
+            row.classList.add('bg-blue-50');
+            this.sourceHighlight.push(row);
+            if (scrollPane === 'trace') {
+                this.scrollIntoPane(row);
+            }
+        }
+        for (let line = entry.startLine; line && line <= entry.endLine; line++) {
+            const element = document.querySelector(`#sourceCode [data-line="${line}"]`);
+            element.classList.add('bg-gray-700');
+            this.sourceHighlight.push(element);
+            if (scrollPane === 'code' && line === entry.startLine) {
+                this.scrollIntoPane(element);
+            }
+        }
+    }
+    
+    // Scrolls an element's own scrolling pane without moving the page
+    scrollIntoPane(element) {
+        const pane = element.closest('.overflow-auto');
+        const top = element.getBoundingClientRect().top - pane.getBoundingClientRect().top;
+        if (top < 0 || top > pane.clientHeight - element.offsetHeight) {
+            pane.scrollTop += top - pane.clientHeight / 3;
+        }
+    }
+    
+    displayBatchConversionResults(result) {
+        // A batch is one project of many specs, downloaded as a zip rather than run here
+        document.getElementById('executionControls').classList.add('hidden');
+        document.getElementById('downloadLabel').textContent = 'Download Project (zip)';
+        // A batch is always downloaded as a project
+        document.getElementById('downloadOptions').classList.add('hidden');
+        
+        const converted = result.results.filter(item => item.status === 'completed');
+        const statsContainer = document.getElementById('conversionStats');
+        statsContainer.innerHTML = `
+            <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
+                <span>Framework:</span>
+                <span class="font-semibold">${result.framework} (${result.language})</span>
+            </div>
+            <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
+                <span>Traces Converted:</span>
+                <span class="font-semibold">${converted.length}/${result.results.length}</span>
+            </div>
+            <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
+                <span>Tests Generated:</span>
+                <span class="font-semibold">${result.stats.testCount}</span>
+            </div>
+            <div class="flex justify-between items-center bg-gray-50 px-4 py-2 rounded">
+                <span>Success Rate:</span>
+                <span class="font-semibold">${result.stats.totalActions > 0 ? Math.round((result.stats.convertedActions / result.stats.totalActions) * 100) : 0}%</span>
             </div>
+            ${result.results.map(item => `
+            <div class="bg-gray-50 px-4 py-2 rounded">
+                <div class="flex justify-between items-center">
+                    <span class="font-mono text-sm">${this.escapeHtml(item.fileName)}</span>
+                    ${item.status === 'completed'
+                        ? `<span class="text-sm">${item.stats.convertedActions}/${item.stats.totalActions} actions</span>`
+                        : '<span class="text-red-600 text-sm">failed</span>'}
+                </div>
+                <div class="text-xs text-gray-600 mt-1">${this.escapeHtml(item.status === 'completed' ? item.filename : item.error)}</div>
+            </div>`).join('')}
         `;
         
-        // Display generated code preview
-        const codePreview = document.getElementById('generatedCode');
-        const lines = result.generatedCode.split('\n');
-        const preview = lines.slice(0, 20).join('\n');
-        codePreview.textContent = preview + (lines.length > 20 ? '\n\n... (truncated)' : '');
+        document.getElementById('generatedCode').textContent = converted
+            .map(item => item.filename)
+            .concat(converted.flatMap(item => item.files))
+            .join('\n');
+        document.getElementById('generatedFiles').classList.remove('hidden');
+        document.getElementById('sourceView').classList.add('hidden');
     }
     
     async downloadTest() {
+        if (this.batchId) {
+            this.downloadBatch();
+            return;
+        }
         if (!this.jobId) return;
         
+        if (document.querySelector('input[name="downloadType"]:checked').value === 'project') {
+            this.downloadArchive(`/api/job/${this.jobId}/archive`);
+            return;
+        }
+        
         try {
             const response = await fetch(`/api/job/${this.jobId}`);
             const job = await response.json();
@@ -315,6 +1010,19 @@ class FrameworkMigrationApp {
         }
     }
     
+    downloadBatch() {
+        this.downloadArchive(`/api/batch/${this.batchId}/download`);
+    }
+    
+    // The server names the zip in its Content-Disposition header
+    downloadArchive(url) {
+        const a = document.createElement('a');
+        a.href = url;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+    }
+    
     async executeTest() {
         console.log('Execute test clicked, jobId:', this.jobId);
         if (!this.jobId) {
@@ -345,12 +1053,7 @@ class FrameworkMigrationApp {
             }
             
             const result = await response.json();
-            
-            // Show execution started message
-            this.showInfo('Test execution started. Please wait...');
-            
-            // Poll for execution results
-            this.pollExecutionResults();
+            this.streamExecution(result.eventsUrl);
             
         } catch (error) {
             console.error('Execution error:', error);
@@ -358,70 +1061,245 @@ class FrameworkMigrationApp {
         }
     }
     
-    async pollExecutionResults() {
-        const maxAttempts = 30; // 30 seconds timeout
-        let attempts = 0;
-        
-        const poll = async () => {
-            try {
-                const response = await fetch(`/api/job/${this.jobId}`);
-                const job = await response.json();
-                
-                if (job.status === 'execution_completed') {
-                    this.displayExecutionResults(job.execution);
-                    return;
-                } else if (job.status === 'failed') {
-                    this.showError(`Execution failed: ${job.error || 'Unknown error'}`);
-                    return;
-                }
-                
-                attempts++;
-                if (attempts < maxAttempts) {
-                    setTimeout(poll, 1000); // Poll every second
-                } else {
-                    this.showError('Execution timeout. Please check the server logs.');
-                }
-            } catch (error) {
-                console.error('Polling error:', error);
-                this.showError('Failed to get execution results');
+    async cancelExecution() {
+        const cancelButton = document.getElementById('cancelExecution');
+        cancelButton.disabled = true;
+        
+        try {
+            const response = await fetch(`/api/execute/${this.jobId}/cancel`, { method: 'POST' });
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: response.statusText }));
+                throw new Error(errorData.error || `Cancel failed: ${response.statusText}`);
+            }
+            // The done event follows once the test processes have exited
+            document.getElementById('executionStatus').innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i> Cancelling...';
+        } catch (error) {
+            console.error('Cancel error:', error);
+            cancelButton.disabled = false;
+            this.showError(`Failed to cancel execution: ${error.message}`);
+        }
+    }
+    
+    // Follows install and test output as the server sends it; the server enforces the time limit,
+    // so there is no timeout while the stream is open
+    streamExecution(eventsUrl) {
+        if (this.executionEvents) {
+            this.executionEvents.close();
+        }
+        
+        const resultsContainer = document.getElementById('executionResults');
+        const consoleElement = document.getElementById('executionConsole');
+        const outputElement = document.getElementById('executionOutput');
+        const statusElement = document.getElementById('executionStatus');
+        const cancelButton = document.getElementById('cancelExecution');
+        const phaseLabels = {
+            install: 'Installing dependencies',
+            browsers: 'Installing browsers',
+            run: 'Running tests'
+        };
+        
+        outputElement.textContent = '';
+        document.getElementById('testResults').classList.add('hidden');
+        document.getElementById('executionArtifacts').classList.add('hidden');
+        statusElement.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i> Starting...';
+        cancelButton.disabled = false;
+        cancelButton.classList.remove('hidden');
+        resultsContainer.classList.remove('hidden');
+        resultsContainer.scrollIntoView({ behavior: 'smooth' });
+        
+        const append = (text, className) => {
+            // Only follow the output when the user has not scrolled up to read earlier lines
+            const atBottom = consoleElement.scrollTop + consoleElement.clientHeight >= consoleElement.scrollHeight - 20;
+            const line = document.createElement('span');
+            if (className) line.className = className;
+            line.textContent = `${text}\n`;
+            outputElement.appendChild(line);
+            if (atBottom) {
+                consoleElement.scrollTop = consoleElement.scrollHeight;
             }
         };
         
-        poll();
+        const events = new EventSource(eventsUrl);
+        this.executionEvents = events;
+        
+        events.addEventListener('queued', (e) => {
+            const { position } = JSON.parse(e.data);
+            statusElement.innerHTML = `<i class="fas fa-clock mr-1"></i> Queued (position ${position})`;
+            append(`Waiting for other executions to finish (position ${position} in the queue)`, 'text-yellow-300');
+        });
+        
+        events.addEventListener('phase', (e) => {
+            const { phase, command } = JSON.parse(e.data);
+            statusElement.innerHTML = `<i class="fas fa-spinner fa-spin mr-1"></i> ${phaseLabels[phase] || phase}...`;
+            append(`\n==> ${phaseLabels[phase] || phase}${command ? `: ${command}` : ''}`, 'text-blue-300 font-semibold');
+        });
+        
+        events.addEventListener('log', (e) => {
+            const { stream, text } = JSON.parse(e.data);
+            append(text, stream === 'stderr' ? 'text-red-300' : '');
+        });
+        
+        events.addEventListener('done', (e) => {
+            events.close();
+            this.executionEvents = null;
+            cancelButton.classList.add('hidden');
+            const { execution } = JSON.parse(e.data);
+            this.displayExecutionResults(execution);
+        });
+        
+        // EventSource reconnects by itself and the server replays what was missed;
+        // only a closed stream means the server is gone
+        events.onerror = () => {
+            if (events.readyState === EventSource.CLOSED) {
+                this.executionEvents = null;
+                cancelButton.classList.add('hidden');
+                statusElement.textContent = 'Disconnected';
+                this.showError('Lost the connection to the execution output. Please check the server logs.');
+            }
+        };
     }
     
     displayExecutionResults(execution) {
-        const resultsContainer = document.getElementById('executionResults');
+        const consoleElement = document.getElementById('executionConsole');
         const outputElement = document.getElementById('executionOutput');
+        const statusElement = document.getElementById('executionStatus');
         
-        let displayText = '';
-        if (execution.success) {
-            displayText = `✅ Test execution completed successfully (Exit code: ${execution.exitCode})\n\n`;
+        // The output is already in the console; add the outcome below it
+        const summary = document.createElement('span');
+        if (!execution) {
+            summary.textContent = '\nNo execution result available';
+            statusElement.textContent = '';
+        } else if (execution.success) {
+            summary.className = 'text-green-400 font-semibold';
+            summary.textContent = `\n✅ Test execution completed successfully (Exit code: ${execution.exitCode})`;
+            statusElement.innerHTML = '<span class="text-green-600"><i class="fas fa-check-circle mr-1"></i> Passed</span>';
+        } else if (execution.abortReason === 'cancelled') {
+            summary.className = 'text-yellow-300 font-semibold';
+            summary.textContent = `\n⏹ Test execution cancelled ${execution.phase === 'queued' ? 'before it started' : `during the ${execution.phase} phase`}`;
+            statusElement.innerHTML = '<span class="text-gray-600"><i class="fas fa-stop-circle mr-1"></i> Cancelled</span>';
+        } else if (execution.abortReason === 'timeout') {
+            summary.className = 'text-red-400 font-semibold';
+            summary.textContent = `\n⏱ ${execution.error}`;
+            statusElement.innerHTML = '<span class="text-red-600"><i class="fas fa-hourglass-end mr-1"></i> Timed out</span>';
         } else {
-            displayText = `❌ Test execution failed (Exit code: ${execution.exitCode})\n\n`;
+            summary.className = 'text-red-400 font-semibold';
+            summary.textContent = `\n❌ Test execution failed (Exit code: ${execution.exitCode})${execution.exitCode === -1 && execution.error ? `\n${execution.error}` : ''}`;
+            statusElement.innerHTML = '<span class="text-red-600"><i class="fas fa-times-circle mr-1"></i> Failed</span>';
         }
+        outputElement.appendChild(summary);
+        consoleElement.scrollTop = consoleElement.scrollHeight;
+        this.displayTestResults(execution && execution.results);
+        this.displayArtifacts(execution && execution.artifacts);
         
-        if (execution.output) {
-            displayText += `Output:\n${execution.output}\n\n`;
+        // Show server logs
+        this.showServerLogs();
+        this.fetchServerLogs();
+    }
+    
+    // Per-test outcomes read from the runner's report, with failures traced back to the trace
+    displayTestResults(results) {
+        const section = document.getElementById('testResults');
+        if (!results || results.tests.length === 0) {
+            section.classList.add('hidden');
+            return;
         }
         
-        if (execution.error) {
-            displayText += `Errors:\n${execution.error}`;
-        }
+        const { summary } = results;
+        document.getElementById('testResultsSummary').textContent =
+            `${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`;
+        const statusStyles = {
+            passed: 'text-green-600',
+            failed: 'text-red-600',
+            skipped: 'text-gray-500'
+        };
+        const stepStatusLabels = {
+            passed: 'passed',
+            failed: 'failed',
+            skipped: 'not run',
+            unknown: 'unknown'
+        };
+        // Very long traces map to thousands of steps; the list only shows the first ones
+        const maxListedSteps = 200;
         
-        if (!execution.output && !execution.error) {
-            displayText += 'No output available';
+        const body = document.getElementById('testResultsBody');
+        body.innerHTML = '';
+        results.tests.forEach(test => {
+            const counts = {};
+            test.steps.forEach(step => {
+                counts[step.status] = (counts[step.status] || 0) + 1;
+            });
+            const stepSummary = Object.keys(counts)
+                .map(status => `${counts[status]} ${stepStatusLabels[status]}`)
+                .join(', ');
+            const stepList = test.steps.slice(0, maxListedSteps)
+                .map(step => `<li class="${statusStyles[step.status] || 'text-gray-500'}">Trace line ${step.traceLine} (${this.escapeHtml(step.kind)}), code line ${step.line}: ${stepStatusLabels[step.status]}</li>`)
+                .join('');
+            const moreSteps = test.steps.length > maxListedSteps
+                ? `<li class="text-gray-500">... and ${test.steps.length - maxListedSteps} more</li>`
+                : '';
+            
+            const row = document.createElement('tr');
+            row.className = 'border-b border-gray-200 align-top';
+            row.innerHTML = `
+                <td class="px-4 py-2 font-mono break-all">${this.escapeHtml(test.name)}${test.project ? ` <span class="text-gray-500">[${this.escapeHtml(test.project)}]</span>` : ''}</td>
+                <td class="px-4 py-2 font-semibold ${statusStyles[test.status]}">
+                    ${test.status}${test.expectedFailure ? ' <span class="text-gray-500 font-normal">(expected)</span>' : ''}
+                </td>
+                <td class="px-4 py-2 text-gray-600">${(test.durationMs / 1000).toFixed(1)}s</td>
+                <td class="px-4 py-2">
+                    ${test.traceLine ? `Trace line ${test.traceLine} (${this.escapeHtml(test.kind)})<div class="text-gray-500">code line ${test.line}</div>` : (test.line ? `Code line ${test.line}` : '')}
+                    ${test.error ? `<div class="text-red-600 mt-1 break-all">${this.escapeHtml(test.error)}</div>` : ''}
+                </td>
+                <td class="px-4 py-2 text-gray-600">
+                    ${test.steps.length > 0 ? `<details><summary class="cursor-pointer">${stepSummary}</summary><ul class="mt-1 space-y-1">${stepList}${moreSteps}</ul></details>` : ''}
+                </td>
+            `;
+            body.appendChild(row);
+        });
+        section.classList.remove('hidden');
+    }
+    
+    // Screenshots and videos inline, the HTML report as a link and traces as downloads
+    displayArtifacts(artifacts) {
+        const section = document.getElementById('executionArtifacts');
+        if (!artifacts || artifacts.length === 0) {
+            section.classList.add('hidden');
+            return;
         }
         
-        outputElement.textContent = displayText;
-        resultsContainer.classList.remove('hidden');
+        const report = artifacts.find(artifact => artifact.type === 'report');
+        const reportLink = document.getElementById('artifactReportLink');
+        reportLink.classList.toggle('hidden', !report);
+        if (report) {
+            reportLink.href = report.url;
+        }
         
-        // Show server logs
-        this.showServerLogs();
-        this.fetchServerLogs();
+        const media = document.getElementById('artifactMedia');
+        media.innerHTML = '';
+        artifacts.filter(artifact => artifact.type === 'screenshot' || artifact.type === 'video').forEach(artifact => {
+            const item = document.createElement('figure');
+            item.className = 'bg-gray-50 rounded-lg p-2';
+            const preview = artifact.type === 'screenshot'
+                ? `<a href="${artifact.url}" target="_blank" rel="noopener"><img src="${artifact.url}" alt="${this.escapeHtml(artifact.name)}" class="w-full rounded" loading="lazy"></a>`
+                : `<video src="${artifact.url}" controls preload="metadata" class="w-full rounded"></video>`;
+            item.innerHTML = `
+                ${preview}
+                <figcaption class="text-xs text-gray-600 mt-1 break-all">${this.escapeHtml(artifact.name)}</figcaption>
+            `;
+            media.appendChild(item);
+        });
         
-        // Scroll to results
-        resultsContainer.scrollIntoView({ behavior: 'smooth' });
+        const traces = document.getElementById('artifactTraces');
+        traces.innerHTML = '';
+        artifacts.filter(artifact => artifact.type === 'trace').forEach(artifact => {
+            const item = document.createElement('div');
+            item.innerHTML = `
+                <a href="${artifact.url}" download class="text-blue-600 hover:underline"><i class="fas fa-file-archive mr-1"></i>${this.escapeHtml(artifact.name)}</a>
+                <span class="text-gray-500">(open with <code>npx playwright show-trace</code>)</span>
+            `;
+            traces.appendChild(item);
+        });
+        section.classList.remove('hidden');
     }
     
     showStep(stepNumber) {
@@ -468,6 +1346,13 @@ class FrameworkMigrationApp {
     showError(message) {
         this.showMessage(message, 'error');
     }
+
+    escapeHtml(text) {
+        // Test names and ids come from the uploaded trace
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
     
     showInfo(message) {
         this.showMessage(message, 'info');
@@ -529,14 +1414,22 @@ class FrameworkMigrationApp {
     resetApp() {
         this.currentStep = 1;
         this.jobId = null;
+        this.batchId = null;
         this.selectedFramework = null;
         this.selectedLanguage = null;
+        this.output = null;
+        this.closeEditor();
         
         // Reset form
         document.getElementById('fileInput').value = '';
         document.getElementById('languageSelection').classList.add('hidden');
         document.getElementById('startConversion').disabled = true;
         document.getElementById('executionResults').classList.add('hidden');
+        document.getElementById('cancelExecution').classList.add('hidden');
+        if (this.executionEvents) {
+            this.executionEvents.close();
+            this.executionEvents = null;
+        }
         
         // Reset selections
         document.querySelectorAll('.framework-option, .language-option').forEach(el => {
@@ -545,6 +1438,7 @@ class FrameworkMigrationApp {
         });
         
         this.showStep(1);
+        this.loadJobHistory();
     }
 }
 